@@ -2,9 +2,51 @@ const path = require("path");
 const fs = require("fs");
 const { pdfToPngs } = require("./pdfToPng");
 const { describePageAndGenerate } = require("./page-processing");
-const { identifyRoomName } = require("./identify-room");
+const { identifyRoomName, trimTextLayer } = require("./identify-room");
+const { createOcrPool } = require("./ocr-pool");
 const { addTitleToImage } = require("./text-adder");
 const { outputMerge } = require("./output-merge");
+const { throwIfAborted, isAbortError } = require("./abort");
+const { withManifestLock, recordOriginalRevision, addRevision } = require("./render-revisions");
+const {
+  getManifestPath,
+  fingerprintFile,
+  createManifest,
+  loadManifest,
+  getIncompatibilityReason,
+  createManifestWriter,
+  filesExist,
+} = require("./run-manifest");
+const { createResponseCache } = require("./response-cache");
+const { resolveDescribeProvider, resolveImageProvider } = require("./providers");
+const { resolveOutputSize, assertFit } = require("./output-size");
+const {
+  classifyHeading,
+  getRoomTypeLabel,
+  resolveGroupRoomType,
+  validatePlanRoomTypes,
+} = require("./room-taxonomy");
+const {
+  resolveViewpoints,
+  assertViewLayout,
+  formatViewTitle,
+  buildContactSheet,
+} = require("./render-views");
+const {
+  DEFAULT_MATCH_THRESHOLD,
+  normalizeRoomName,
+  groupPages,
+  selectGroups,
+  parseGroupOverrides,
+  loadGroupOverrides,
+  applyGroupOverrides,
+  writeProposedPlan,
+  validateGroupingPlan,
+  applyGroupingPlan,
+  getGroupingPlanPath,
+  loadGroupingPlan,
+  saveGroupingPlan,
+} = require("./room-grouping");
 
 // Toggle to keep all intermediate files (true) or only keep the final PDF (false)
 // If true: Keep all PNG files in other folders
@@ -12,6 +54,29 @@ const { outputMerge } = require("./output-merge");
 const output_all = false;
 
 async function pdfGenerate(pdfPath, options = {}) {
+  // A pool passed in belongs to the caller, who may share it between runs; one created here
+  // is terminated with the run. `ocrPool: false` runs every OCR job on its own engine.
+  const ownsOcrPool = options.ocrPool !== false && typeof options.ocrPool?.recognize !== "function";
+  const ocrPool = ownsOcrPool
+    ? createOcrPool({
+        language: options.identifyRoomOptions?.language,
+        workerOptions: options.identifyRoomOptions?.tesseractOptions,
+        ...(options.ocrPool || {}),
+      })
+    : options.ocrPool || null;
+  // Render edits of the same output directory wait for the run, which saves its own copy of
+  // the manifest and would otherwise overwrite them
+  const outputDir = path.resolve(options.outputDir || "generated");
+  try {
+    return await withManifestLock(outputDir, () => runPdfGenerate(pdfPath, { ...options, ocrPool }));
+  } finally {
+    if (ownsOcrPool) {
+      await ocrPool.terminate();
+    }
+  }
+}
+
+async function runPdfGenerate(pdfPath, options) {
   if (!pdfPath) {
     throw new Error("pdfPath is required");
   }
@@ -26,17 +91,163 @@ async function pdfGenerate(pdfPath, options = {}) {
   const skipConversionPages = Number.isInteger(options.skipConversionPages) ? options.skipConversionPages : 4;
   const skipPages = Number.isInteger(options.skipPages) ? options.skipPages : 0;
   const continueOnError = Boolean(options.continueOnError);
-  const pdfOptions = { ...(options.pdfOptions || {}), skipPages: skipConversionPages };
+  const reportProgress = createProgressReporter(options.onProgress);
+  const signal = options.signal;
+  const ocrPool = options.ocrPool;
+  // Headings are read from the PDF's own text where it has one; `useTextLayer: false` always OCRs
+  const useTextLayer = options.useTextLayer !== false;
+  const textLayersByPage = new Map();
+  const pdfOptions = {
+    ...(options.pdfOptions || {}),
+    skipPages: skipConversionPages,
+    extractText: useTextLayer,
+    signal,
+    onPage: ({ pageNumber, totalPages, outputPath, textLayer }) => {
+      if (textLayer) {
+        textLayersByPage.set(outputPath, textLayer);
+      }
+      reportProgress({ type: "page-rendered", pageNumber, totalPages, pageImage: outputPath });
+    },
+  };
   const concurrency =
     Number.isInteger(options.concurrency) && options.concurrency > 0
       ? options.concurrency
       : 2;
-
-  console.log("[PDFGenerate] Rendering PDF pages:", resolvedPdf);
-  const pageImages = await pdfToPngs(resolvedPdf, pagesDir, pdfOptions);
+  // Pass `cache: false` to disable, or { dir, mode, maxEntries, maxSizeMB } to configure
+  const cache =
+    options.cache === false ? null : createResponseCache(options.cache || {});
+  // `provider` selects both stages at once (e.g. "mock"); the specific options win.
+  // Resolved up front so an unknown name fails before any page is rendered.
+  const describeProvider = resolveDescribeProvider(options.describeProvider || options.provider);
+  const imageProvider = resolveImageProvider(options.imageProvider || options.provider);
   console.log(
-    `[PDFGenerate] Rendered ${pageImages.length} page image(s) to ${pagesDir}`
+    `[PDFGenerate] Providers: describe=${describeProvider.name}, image=${imageProvider.name}`
   );
+  // Render dimensions, e.g. renderSize "1920x1080" or renderAspectRatio "16:9"
+  const renderSize = resolveOutputSize({
+    size: options.renderSize,
+    aspectRatio: options.renderAspectRatio,
+  });
+  assertFit(options.renderFit);
+  if (renderSize) {
+    console.log(
+      `[PDFGenerate] Render size: ${
+        renderSize.width ? `${renderSize.width}x${renderSize.height}` : "native"
+      } (${renderSize.aspectRatio}, ${options.renderFit || "cover"})`
+    );
+  }
+  // Untitled renders are kept for later edits and variant selection
+  const keepRenders = options.keepRenders ?? (options.variations > 1 || Boolean(options.regenerateGroups));
+  const viewpoints = resolveViewpoints({ views: options.views, viewpoints: options.viewpoints });
+  assertViewLayout(options.viewLayout);
+  if (viewpoints) {
+    console.log(
+      `[PDFGenerate] Views per room: board camera + ${viewpoints.join(", ")} (${
+        options.viewLayout || "pages"
+      })`
+    );
+  }
+
+  // Hand-written grouping (a path or object); checked now, matched to pages after rendering
+  const groupOverrides =
+    typeof options.groupOverrides === "string"
+      ? await loadGroupOverrides(path.resolve(options.groupOverrides))
+      : options.groupOverrides || null;
+  if (groupOverrides) {
+    parseGroupOverrides(groupOverrides);
+  }
+  // Likewise a grouping plan given up front; its pages are checked against the run later
+  const givenGroupingPlan =
+    typeof options.groupingPlan === "string"
+      ? await loadGroupingPlan(path.resolve(options.groupingPlan))
+      : options.groupingPlan || null;
+  if (givenGroupingPlan) {
+    validatePlanRoomTypes(validateGroupingPlan(givenGroupingPlan, []));
+  }
+  // How headings are matched into rooms: { matchThreshold: 0-1, nonAdjacent: boolean }
+  const groupingOptions = {
+    matchThreshold: DEFAULT_MATCH_THRESHOLD,
+    nonAdjacent: false,
+    ...(options.groupingOptions || {}),
+  };
+  if (
+    typeof groupingOptions.matchThreshold !== "number" ||
+    !(groupingOptions.matchThreshold >= 0 && groupingOptions.matchThreshold <= 1)
+  ) {
+    throw new Error(`Invalid match threshold "${groupingOptions.matchThreshold}". Expected 0-1`);
+  }
+
+  // Settings that change which page images exist or how they look; a manifest
+  // written with different values cannot be resumed.
+  const manifestSettings = {
+    skipConversionPages,
+    skipPages,
+    dpi: pdfOptions.dpi ?? 110,
+    filePrefix: pdfOptions.filePrefix ?? "page",
+    padPages: pdfOptions.padPages ?? true,
+    pagesDir,
+  };
+  const pdfHash = await fingerprintFile(resolvedPdf);
+  let manifest = null;
+  // Regenerating rooms re-runs a finished run: everything but the selected groups is reused
+  const regenerateGroups =
+    Array.isArray(options.regenerateGroups) && options.regenerateGroups.length > 0
+      ? options.regenerateGroups
+      : null;
+  if (regenerateGroups) {
+    const previousManifest = await loadManifest(outputDir);
+    const reason = previousManifest
+      ? getIncompatibilityReason(previousManifest, { pdfHash, settings: manifestSettings })
+      : `no run manifest in ${outputDir}`;
+    if (reason) {
+      throw new Error(`Cannot regenerate rooms: ${reason}`);
+    }
+    manifest = previousManifest;
+    console.log(
+      `[PDFGenerate] Regenerating ${regenerateGroups.join(", ")} from ${getManifestPath(outputDir)}`
+    );
+  } else if (options.resume || options.approveGrouping) {
+    // Approving a grouping picks up the page images and headings of the review run
+    const previousManifest = await loadManifest(outputDir);
+    const reason = getIncompatibilityReason(previousManifest, {
+      pdfHash,
+      settings: manifestSettings,
+    });
+    if (reason) {
+      console.warn(`[PDFGenerate] Cannot resume (${reason}); starting a fresh run.`);
+    } else {
+      manifest = previousManifest;
+      console.log(`[PDFGenerate] Resuming run from ${getManifestPath(outputDir)}`);
+    }
+  }
+  if (!manifest) {
+    manifest = createManifest({ pdfPath: resolvedPdf, pdfHash, settings: manifestSettings });
+  }
+  const saveManifest = createManifestWriter(outputDir, manifest);
+
+  throwIfAborted(signal);
+  reportProgress({ type: "stage", stage: "rendering" });
+  let pageImages;
+  if (filesExist(manifest.pages)) {
+    pageImages = manifest.pages.slice();
+    console.log(
+      `[PDFGenerate] Reusing ${pageImages.length} page image(s) from the run manifest`
+    );
+  } else {
+    console.log("[PDFGenerate] Rendering PDF pages:", resolvedPdf);
+    pageImages = await pdfToPngs(resolvedPdf, pagesDir, pdfOptions);
+    console.log(
+      `[PDFGenerate] Rendered ${pageImages.length} page image(s) to ${pagesDir}`
+    );
+    // Same PDF and settings render identical pages, so later checkpoints stay valid
+    manifest.pages = pageImages;
+    // Only the lines a heading can be picked from are kept, not every label on the board
+    manifest.textLayers = pageImages.map((pagePath) => {
+      const textLayer = textLayersByPage.get(pagePath);
+      return textLayer ? trimTextLayer(textLayer, options.identifyRoomOptions) : null;
+    });
+    await saveManifest();
+  }
 
   if (skipPages >= pageImages.length) {
     console.warn(
@@ -66,87 +277,269 @@ async function pdfGenerate(pdfPath, options = {}) {
     };
   }
 
-  const identifyOptions = options.identifyRoomOptions || {};
-  const roomDetections = [];
-  for (let i = 0; i < pagesToProcess.length; i += 1) {
+  reportProgress({ type: "stage", stage: "identifying" });
+  const identifyOptions = { ocrPool, ...(options.identifyRoomOptions || {}), signal };
+  const textLayers = useTextLayer ? (manifest.textLayers || []).slice(skipPages) : [];
+  const roomDetections = new Array(pagesToProcess.length);
+  // Pages are identified side by side, as many at a time as the OCR pool has workers
+  const detectionCount = Math.min(ocrPool ? ocrPool.size : 1, pagesToProcess.length);
+  let detectionCursor = 0;
+  let detectionFailed = false;
+  async function detectHeading(i) {
     const pagePath = pagesToProcess[i];
+    const savedDetection = manifest.detections[i];
+    if (savedDetection && savedDetection.pageImage === pagePath && !savedDetection.errorMessage) {
+      // Classified again so a resumed run picks up taxonomy changes
+      const { roomType, facet } = classifyHeading(savedDetection.rawText || savedDetection.roomName);
+      roomDetections[i] = { ...savedDetection, roomType, facet };
+      reportProgress({
+        type: "heading-detected",
+        pageIndex: i,
+        pageImage: pagePath,
+        roomName: savedDetection.roomName || null,
+        rawText: savedDetection.rawText || null,
+        confidence: savedDetection.confidence ?? null,
+        roomType,
+        facet,
+        source: savedDetection.source || null,
+        resumed: true,
+      });
+      return;
+    }
     console.log(`[PDFGenerate] Identifying room for page ${pagePath}`);
     try {
-      const detection = await identifyRoomName(pagePath, identifyOptions);
+      const detection = await identifyRoomName(pagePath, {
+        ...identifyOptions,
+        textLayer: textLayers[i] || undefined,
+      });
       const normalized = normalizeRoomName(
         detection.roomName || detection.rawText
       );
-      roomDetections.push({
+      // The raw text keeps sub-headings ("KITCHEN - LIGHTING") that cleaning drops
+      const { roomType, facet } = classifyHeading(detection.rawText || detection.roomName);
+      roomDetections[i] = {
         ...detection,
         normalized,
+        roomType,
+        facet,
+        pageImage: pagePath,
+      };
+      reportProgress({
+        type: "heading-detected",
+        pageIndex: i,
         pageImage: pagePath,
+        roomName: detection.roomName || null,
+        rawText: detection.rawText || null,
+        confidence: detection.confidence ?? null,
+        roomType,
+        facet,
+        source: detection.source,
       });
       console.log(
         `[PDFGenerate] Room heading detected for ${path.basename(
           pagePath
-        )}: ${detection.roomName || detection.rawText || "(none)"}`
+        )} (${detection.source}): ${detection.roomName || detection.rawText || "(none)"}`
       );
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       console.warn(
         `[PDFGenerate] Failed to identify room heading for ${pagePath}:`,
         error.message || error
       );
-      roomDetections.push({
+      roomDetections[i] = {
         roomName: null,
         rawText: null,
         confidence: 0,
         normalized: null,
+        roomType: null,
+        facet: null,
+        source: null,
         pageImage: pagePath,
         error,
-      });
+      };
       if (!continueOnError) {
+        detectionFailed = true;
         throw error;
       }
     }
   }
+  async function detectionWorker() {
+    while (!detectionFailed && detectionCursor < pagesToProcess.length) {
+      throwIfAborted(signal);
+      const index = detectionCursor;
+      detectionCursor += 1;
+      await detectHeading(index);
+    }
+  }
+  console.log(
+    `[PDFGenerate] Identifying ${pagesToProcess.length} page(s), ${detectionCount} at a time`
+  );
+  await Promise.all(Array.from({ length: detectionCount }, () => detectionWorker()));
+
+  const countBySource = (source) =>
+    roomDetections.filter((detection) => detection.source === source).length;
+  console.log(
+    `[PDFGenerate] Read ${countBySource("text-layer")} heading(s) from the PDF text layer, ${countBySource("ocr")} by OCR`
+  );
+  manifest.detections = roomDetections.map(({ error, ...detection }) => ({
+    ...detection,
+    errorMessage: error ? error.message || String(error) : null,
+  }));
+  await saveManifest();
+
+  // PDF page number of each processed page, as used by grouping plans
+  const pageNumbers = pagesToProcess.map(
+    (_, index) => skipConversionPages + skipPages + index + 1
+  );
+  let groupingPlan = null;
+  if (givenGroupingPlan) {
+    groupingPlan = givenGroupingPlan;
+  } else if (options.approveGrouping) {
+    groupingPlan = await loadGroupingPlan(getGroupingPlanPath(outputDir));
+  } else if (manifest.groupingPlan && !options.reviewGrouping) {
+    // An approved grouping stays in force when the run is resumed or regenerated
+    groupingPlan = manifest.groupingPlan;
+  }
 
-  const groups = [];
-  for (let index = 0; index < pagesToProcess.length; ) {
-    const detection = roomDetections[index];
+  let groups;
+  if (groupingPlan) {
+    manifest.groupingPlan = {
+      ...validateGroupingPlan(groupingPlan, pageNumbers),
+      status: "approved",
+    };
+    validatePlanRoomTypes(manifest.groupingPlan);
+    groups = applyGroupingPlan(manifest.groupingPlan, {
+      pages: pagesToProcess,
+      pageNumbers,
+      detections: roomDetections,
+    });
+    if (options.approveGrouping || options.groupingPlan) {
+      await saveGroupingPlan(outputDir, manifest.groupingPlan);
+    }
+    console.log(`[PDFGenerate] Using the approved grouping plan (${groups.length} group(s))`);
+  } else if (groupOverrides) {
+    // Overrides win over the detected headings for the pages they mention
+    groups = applyGroupOverrides(groupOverrides, {
+      pages: pagesToProcess,
+      pageNumbers,
+      detections: roomDetections,
+      matchOptions: groupingOptions,
+    });
+    manifest.groupingPlan = null;
     console.log(
-      `[PDFGenerate] Creating group starting at index ${index} (${pagesToProcess[index]})`
+      `[PDFGenerate] Applied grouping overrides (${
+        groups.filter((group) => group.source === "override").length
+      } overridden group(s))`
     );
-    const normalized = detection?.normalized;
-    const group = {
-      groupId: groups.length + 1,
-      pageIndices: [index],
-      pages: [pagesToProcess[index]],
-      roomName: detection?.roomName || detection?.rawText || null,
-      normalizedName: normalized,
+  } else {
+    groups = groupPages(pagesToProcess, roomDetections, groupingOptions);
+    manifest.groupingPlan = null;
+  }
+  groups.forEach((group) => {
+    group.roomType = resolveGroupRoomType(group, roomDetections);
+    reportProgress({
+      type: "group-formed",
+      groupId: group.groupId,
+      roomName: group.roomName,
+      roomType: group.roomType,
+      pages: group.pages,
+      source: group.source,
+    });
+  });
+
+  console.log(
+    `[PDFGenerate] Grouped ${groups.reduce((count, group) => count + group.pages.length, 0)} page(s) into ${groups.length} task(s) (match threshold ${groupingOptions.matchThreshold}${groupingOptions.nonAdjacent ? ", non-adjacent pages gathered" : ""}).`
+  );
+
+  if (options.reviewGrouping) {
+    // Stop before the model stages so the grouping can be corrected first
+    const { plan, planPath } = await writeProposedPlan({
+      groups,
+      detections: roomDetections,
+      pageNumbers,
+      pages: pagesToProcess,
+      outputDir,
+    });
+    await saveManifest();
+    console.log(
+      `[PDFGenerate] Proposed grouping written to ${planPath}. Edit it if needed and run again with approveGrouping.`
+    );
+    reportProgress({ type: "grouping-proposed", groupingPlanPath: planPath, groupCount: plan.groups.length });
+    return {
+      pagesDir,
+      outputDir,
+      pageImages,
+      processedPages: [],
+      skipPages,
+      concurrency: 0,
+      groups,
+      roomDetections,
+      awaitingApproval: true,
+      groupingPlan: plan,
+      groupingPlanPath: planPath,
+      manifestPath: getManifestPath(outputDir),
+      cache: summarizeCacheStats(cache),
     };
+  }
 
-    let cursor = index + 1;
-    if (normalized) {
-      while (cursor < pagesToProcess.length) {
-        const nextDetection = roomDetections[cursor];
-        console.log(
-          `[PDFGenerate] Comparing page ${pagesToProcess[cursor]} (normalized=${nextDetection?.normalized}) with current group normalized=${normalized}`
-        );
-        if (
-          nextDetection?.normalized &&
-          nextDetection.normalized === normalized
-        ) {
-          group.pageIndices.push(cursor);
-          group.pages.push(pagesToProcess[cursor]);
-          cursor += 1;
-        } else {
-          break;
-        }
+  // Carry over checkpoints for groups whose pages are unchanged since the last run
+  const previousCheckpoints = manifest.groups;
+  manifest.groups = groups.map((group) => {
+    const previous = previousCheckpoints.find(
+      (entry) => JSON.stringify(entry.pages) === JSON.stringify(group.pages)
+    );
+    return {
+      groupId: group.groupId,
+      roomName: group.roomName,
+      roomType: group.roomType,
+      source: group.source,
+      pages: group.pages,
+      status: previous?.status || "pending",
+      descriptionPath: previous?.descriptionPath || null,
+      renderPath: previous?.renderPath || null,
+      layoutPath: previous?.layoutPath || null,
+      modelPaths: previous?.modelPaths || null,
+      renderQa: previous?.renderQa || null,
+      variants: previous?.variants || null,
+      selectedVariant: previous?.selectedVariant ?? null,
+      titleText: previous?.titleText || null,
+      views: previous?.views || null,
+      contactSheetPath: previous?.contactSheetPath || null,
+      selectedBy: previous?.selectedBy || null,
+      untitledRenderPath: previous?.untitledRenderPath || null,
+      revisions: previous?.revisions || null,
+      currentRevision: previous?.currentRevision ?? null,
+      error: previous?.error || null,
+    };
+  });
+  const regenerating = new Set();
+  if (regenerateGroups) {
+    for (const group of selectGroups(groups, regenerateGroups)) {
+      const checkpoint = manifest.groups[groups.indexOf(group)];
+      checkpoint.status = "pending";
+      if (options.redescribe) {
+        checkpoint.descriptionPath = null;
+      }
+      // The room's current render joins its history before the new render overwrites it
+      if (filesExist([checkpoint.untitledRenderPath])) {
+        await recordOriginalRevision(checkpoint);
       }
+      regenerating.add(group.groupId);
     }
-
-    groups.push(group);
-    index = cursor;
+    manifest.groups.forEach((checkpoint) => {
+      if (
+        !regenerating.has(checkpoint.groupId) &&
+        !(checkpoint.status === "done" && filesExist([checkpoint.renderPath, checkpoint.descriptionPath]))
+      ) {
+        console.warn(
+          `[PDFGenerate] Group ${checkpoint.groupId} has no kept render and will be processed again too`
+        );
+      }
+    });
   }
-
-  console.log(
-    `[PDFGenerate] Grouped ${pagesToProcess.length} page(s) into ${groups.length} task(s).`
-  );
+  await saveManifest();
 
   const processedPages = new Array(pagesToProcess.length);
   console.log(
@@ -156,8 +549,11 @@ async function pdfGenerate(pdfPath, options = {}) {
       pages: group.pages,
       roomName: group.roomName,
       normalizedName: group.normalizedName,
+      roomType: group.roomType,
+      source: group.source,
     }))
   );
+  reportProgress({ type: "stage", stage: "generating" });
   let groupCursor = 0;
 
   const workerCount = Math.min(concurrency, groups.length);
@@ -165,8 +561,25 @@ async function pdfGenerate(pdfPath, options = {}) {
     `[PDFGenerate] Using concurrency level ${workerCount} (requested ${concurrency})`
   );
 
+  function recordGroupPages(group, fields) {
+    group.pageIndices.forEach((pageIndex, localIndex) => {
+      const companions = group.pages.filter((_, idx) => idx !== localIndex);
+      processedPages[pageIndex] = {
+        pageImage: pagesToProcess[pageIndex],
+        groupedWith: companions,
+        groupId: group.groupId,
+        roomName: roomDetections[pageIndex]?.roomName || null,
+        roomHeadingRaw: roomDetections[pageIndex]?.rawText || null,
+        roomType: group.roomType,
+        facet: roomDetections[pageIndex]?.facet || null,
+        ...fields,
+      };
+    });
+  }
+
   async function worker(workerId) {
     while (true) {
+      throwIfAborted(signal);
       const currentGroupIndex = groupCursor;
       if (currentGroupIndex >= groups.length) {
         break;
@@ -183,19 +596,115 @@ async function pdfGenerate(pdfPath, options = {}) {
         }: ${groupLabel} (${group.pages.length} page(s))`
       );
 
+      const checkpoint = manifest.groups[currentGroupIndex];
+      if (
+        checkpoint.status === "done" &&
+        filesExist([checkpoint.renderPath, checkpoint.descriptionPath])
+      ) {
+        console.log(
+          `[PDFGenerate][Worker ${workerId}] Skipping completed group ${groupLabel} (resumed)`
+        );
+        const description = JSON.parse(
+          await fs.promises.readFile(checkpoint.descriptionPath, "utf8")
+        );
+        recordGroupPages(group, {
+          description,
+          geometryValidation: description?.validation || null,
+          geometryIssues: description?.geometryCheck?.issues || [],
+          renderPath: checkpoint.renderPath,
+          layoutPath: checkpoint.layoutPath || null,
+          modelPaths: checkpoint.modelPaths || null,
+          renderQa: checkpoint.renderQa || null,
+          variants: checkpoint.variants || null,
+          selectedVariant: checkpoint.selectedVariant ?? null,
+          views: checkpoint.views || null,
+          contactSheetPath: checkpoint.contactSheetPath || null,
+          resumed: true,
+          retries: { describe: 0, generate: 0 },
+          error: null,
+          errorMessage: null,
+        });
+        reportProgress({
+          type: "group-finished",
+          groupId: group.groupId,
+          renderPath: checkpoint.renderPath,
+          qa: checkpoint.renderQa
+            ? {
+                passed: checkpoint.renderQa.passed,
+                score: checkpoint.renderQa.score,
+                attempts: checkpoint.renderQa.attempts,
+              }
+            : null,
+          resumed: true,
+        });
+        continue;
+      }
+      // A saved description lets a failed or interrupted group skip straight to generation
+      const savedDescription = filesExist([checkpoint.descriptionPath])
+        ? JSON.parse(await fs.promises.readFile(checkpoint.descriptionPath, "utf8"))
+        : null;
+
+      const groupRetries = { describe: 0, generate: 0 };
+      reportProgress({ type: "group-started", groupId: group.groupId });
       try {
         const result = await describePageAndGenerate(group.pages, {
           outputDir,
+          signal,
+          // Regenerated rooms must not replay the cached description or render
+          cache:
+            cache && regenerating.has(group.groupId) && cache.mode !== "bypass"
+              ? cache.withMode("refresh")
+              : cache,
+          retry: options.retry,
+          onRetry: ({ stage, attempt, delayMs, status }) => {
+            groupRetries[stage] += 1;
+            reportProgress({
+              type: "group-retry",
+              groupId: group.groupId,
+              stage,
+              attempt,
+              delayMs,
+              status,
+            });
+          },
+          description: savedDescription,
+          onDescribed: async ({ descriptionPath }) => {
+            checkpoint.status = "described";
+            checkpoint.descriptionPath = descriptionPath;
+            await saveManifest();
+          },
+          onProgress: (event) => reportProgress({ ...event, groupId: group.groupId }),
           geminiKeyFile: options.geminiKeyFile,
           describe: options.describeOptions,
+          describeProvider,
+          describeProviderOptions: options.describeProviderOptions,
+          imageProvider,
+          imageProviderOptions: options.imageProviderOptions,
+          fixGeometry: options.fixGeometry,
+          layoutDiagram: options.layoutDiagram,
+          layoutAsReference: options.layoutAsReference,
+          modelExport: options.modelExport,
+          renderQa: options.renderQa,
+          ocrPool,
+          maxRegenerations: options.maxRegenerations,
+          renderSize: options.renderSize,
+          renderAspectRatio: options.renderAspectRatio,
+          renderFit: options.renderFit,
+          variations: options.variations,
+          variantScoring: options.variantScoring,
+          views: options.views,
+          viewpoints: options.viewpoints,
           roomContext: {
             roomName: group.roomName,
             normalizedName: group.normalizedName,
+            roomType: group.roomType,
+            roomTypeLabel: getRoomTypeLabel(group.roomType),
             headings: group.pageIndices.map((pageIndex) => ({
               pageImage: pagesToProcess[pageIndex],
               roomName: roomDetections[pageIndex]?.roomName || null,
               rawText: roomDetections[pageIndex]?.rawText || null,
               confidence: roomDetections[pageIndex]?.confidence ?? null,
+              facet: roomDetections[pageIndex]?.facet || null,
             })),
           },
         });
@@ -207,10 +716,17 @@ async function pdfGenerate(pdfPath, options = {}) {
         const headingSource =
           (headingSourceIndex !== null && roomDetections[headingSourceIndex]) ||
           {};
+        // A name given in a grouping plan or override replaces the heading as printed, and
+        // a heading that only names a facet ("BEDDING") is no room title
+        const roomTypeLabel = getRoomTypeLabel(group.roomType);
+        const headingIsFacet = Boolean(headingSource.facet && !headingSource.roomType);
         const titleText =
-          (headingSource.rawText && headingSource.rawText.trim()) ||
-          (group.roomName && group.roomName.trim()) ||
-          (headingSource.roomName && headingSource.roomName.trim()) ||
+          (group.renamed && group.roomName.trim()) ||
+          (options.roomTypeTitles && roomTypeLabel) ||
+          (!headingIsFacet && headingSource.rawText && headingSource.rawText.trim()) ||
+          (!headingIsFacet && group.roomName && group.roomName.trim()) ||
+          (!headingIsFacet && headingSource.roomName && headingSource.roomName.trim()) ||
+          roomTypeLabel ||
           (group.normalizedName &&
             group.normalizedName
               .split(" ")
@@ -221,47 +737,142 @@ async function pdfGenerate(pdfPath, options = {}) {
         console.log(
           `[PDFGenerate][Worker ${workerId}] Overlaying title "${titleText}" onto ${result.renderPath}`
         );
-        await addTitleToImage(result.renderPath, titleText, {
+        let untitledRenderPath = null;
+        if (keepRenders) {
+          untitledRenderPath = result.renderPath.replace(/-render\.png$/, "-render-untitled.png");
+          await fs.promises.copyFile(result.renderPath, untitledRenderPath);
+        }
+        // With several views every page is numbered, e.g. "Living Room — View 2"
+        const renderTitle = result.views ? formatViewTitle(titleText, 1) : titleText;
+        await addTitleToImage(result.renderPath, renderTitle, {
           outputPath: result.renderPath,
         });
+        let contactSheetPath = null;
+        if (result.views) {
+          for (const view of result.views.slice(1)) {
+            await addTitleToImage(view.path, formatViewTitle(titleText, view.view), {
+              outputPath: view.path,
+            });
+          }
+          if (options.viewLayout === "contact-sheet") {
+            contactSheetPath = await buildContactSheet(
+              result.views.map((view) => view.path),
+              { outputPath: result.renderPath.replace(/-render\.png$/, "-views.png") }
+            );
+          }
+        }
 
-        group.pageIndices.forEach((pageIndex, localIndex) => {
-          const companions = group.pages.filter((_, idx) => idx !== localIndex);
-          processedPages[pageIndex] = {
-            pageImage: pagesToProcess[pageIndex],
-            groupedWith: companions,
-            groupId: group.groupId,
-            roomName: roomDetections[pageIndex]?.roomName || null,
-            roomHeadingRaw: roomDetections[pageIndex]?.rawText || null,
-            description: result.description,
-            renderPath: result.renderPath,
-            error: null,
-            errorMessage: null,
-          };
+        recordGroupPages(group, {
+          description: result.description,
+          geometryValidation: result.description?.validation || null,
+          geometryIssues: result.geometryIssues,
+          renderPath: result.renderPath,
+          layoutPath: result.layoutPath,
+          modelPaths: result.modelPaths,
+          renderQa: result.qa,
+          variants: result.variants,
+          selectedVariant: result.selectedVariant,
+          views: result.views,
+          contactSheetPath,
+          resumed: false,
+          retries: groupRetries,
+          error: null,
+          errorMessage: null,
         });
+        checkpoint.status = "done";
+        checkpoint.renderPath = result.renderPath;
+        checkpoint.layoutPath = result.layoutPath;
+        checkpoint.modelPaths = result.modelPaths;
+        checkpoint.renderQa = result.qa;
+        // Untitled variants stay on disk so another one can be selected after the run
+        checkpoint.variants = result.variants
+          ? result.variants.map((variant) => ({
+              variant: variant.variant,
+              path: variant.path,
+              camera: variant.camera,
+              scores: variant.scores,
+              qa: variant.qa
+                ? { passed: variant.qa.passed, score: variant.qa.score, issues: variant.qa.issues }
+                : null,
+            }))
+          : null;
+        checkpoint.selectedVariant = result.selectedVariant;
+        checkpoint.selectedBy = result.selectedVariant ? "score" : null;
+        checkpoint.titleText = renderTitle;
+        checkpoint.untitledRenderPath = untitledRenderPath;
+        // A room with a history gets the new render as its next revision
+        if (checkpoint.revisions?.length > 0) {
+          if (untitledRenderPath) {
+            await addRevision(checkpoint, {
+              path: untitledRenderPath,
+              source: "regenerate",
+              variant: result.selectedVariant,
+            });
+          } else {
+            checkpoint.currentRevision = null;
+          }
+        }
+        checkpoint.views = result.views
+          ? result.views.map((view) => ({
+              view: view.view,
+              viewpoint: view.viewpoint,
+              path: view.path,
+              qa: view.qa ? { passed: view.qa.passed, score: view.qa.score } : null,
+            }))
+          : null;
+        checkpoint.contactSheetPath = contactSheetPath;
+        checkpoint.error = null;
+        await saveManifest();
 
         console.log(
           `[PDFGenerate][Worker ${workerId}] Completed group ${groupLabel}. Render path: ${result.renderPath}`
         );
+        reportProgress({
+          type: "group-finished",
+          groupId: group.groupId,
+          renderPath: result.renderPath,
+          qa: result.qa
+            ? { passed: result.qa.passed, score: result.qa.score, attempts: result.qa.attempts }
+            : null,
+          ...(result.variants
+            ? { selectedVariant: result.selectedVariant, variantCount: result.variants.length }
+            : {}),
+          ...(result.views ? { viewCount: result.views.length } : {}),
+        });
       } catch (error) {
+        // Cancellation always ends the run, even with continueOnError
+        if (isAbortError(error)) {
+          throw error;
+        }
         console.error(
           `[PDFGenerate][Worker ${workerId}] Error processing group ${groupLabel}:`,
           error.message || error
         );
 
-        group.pageIndices.forEach((pageIndex, localIndex) => {
-          const companions = group.pages.filter((_, idx) => idx !== localIndex);
-          processedPages[pageIndex] = {
-            pageImage: pagesToProcess[pageIndex],
-            groupedWith: companions,
-            groupId: group.groupId,
-            roomName: roomDetections[pageIndex]?.roomName || null,
-            roomHeadingRaw: roomDetections[pageIndex]?.rawText || null,
-            description: null,
-            renderPath: null,
-            error,
-            errorMessage: error && (error.message || String(error)),
-          };
+        recordGroupPages(group, {
+          description: null,
+          geometryValidation: null,
+          geometryIssues: null,
+          renderPath: null,
+          layoutPath: null,
+          modelPaths: null,
+          renderQa: null,
+          variants: null,
+          selectedVariant: null,
+          views: null,
+          contactSheetPath: null,
+          resumed: false,
+          retries: groupRetries,
+          error,
+          errorMessage: error && (error.message || String(error)),
+        });
+        checkpoint.status = "failed";
+        checkpoint.error = error && (error.message || String(error));
+        await saveManifest();
+        reportProgress({
+          type: "group-failed",
+          groupId: group.groupId,
+          error: error && (error.message || String(error)),
         });
 
         if (!continueOnError) {
@@ -281,31 +892,81 @@ async function pdfGenerate(pdfPath, options = {}) {
     failures: processedPages.filter((entry) => entry && entry.error).length,
   });
 
+  throwIfAborted(signal);
+
   // Merge all output images into a final PDF
   const shouldMerge = options.mergeOutput !== false; // Default to true unless explicitly disabled
   let mergedPdfPath = null;
   if (shouldMerge) {
+    reportProgress({ type: "stage", stage: "merging" });
     try {
       console.log("[PDFGenerate] Merging output images into PDF...");
       // Save merged PDF in root directory by default
       const defaultMergedPath = options.mergedOutputPath || path.resolve(process.cwd(), "merged-output.pdf");
+      // One page per group in document order (or one per view, or a contact sheet of the
+      // views), each optionally followed by its layout diagram
+      const mergeImages = [];
+      groups.forEach((group) => {
+        const entry = processedPages[group.pageIndices[0]];
+        if (!entry || !entry.renderPath) return;
+        if (entry.contactSheetPath) {
+          mergeImages.push(entry.contactSheetPath);
+        } else if (entry.views) {
+          entry.views.forEach((view) => mergeImages.push(view.path));
+        } else {
+          mergeImages.push(entry.renderPath);
+        }
+        if (options.layoutInPdf && entry.layoutPath && fs.existsSync(entry.layoutPath)) {
+          mergeImages.push(entry.layoutPath);
+        }
+      });
       const mergeResult = await outputMerge({
         outputDir,
         outputPath: defaultMergedPath,
+        imageFiles: mergeImages,
       });
       mergedPdfPath = mergeResult.outputPath;
+      manifest.mergedPdfPath = mergedPdfPath;
+      // Kept so the PDF can be re-merged after a different render variant is selected
+      manifest.mergeImages = mergeImages;
+      await saveManifest();
       console.log(`[PDFGenerate] Successfully merged ${mergeResult.imageCount} image(s) into PDF: ${mergedPdfPath}`);
+      reportProgress({
+        type: "merge-done",
+        mergedPdfPath,
+        imageCount: mergeResult.imageCount,
+      });
       
       // Clean up intermediate PNG files if output_all is false
       if (!output_all) {
         console.log("[PDFGenerate] Cleaning up intermediate PNG files...");
         try {
+          // Layout diagrams are part of the output. Kept renders can still be edited,
+          // swapped for another variant and re-merged
+          const keepFiles = new Set();
+          const keep = (filePath) => filePath && keepFiles.add(path.resolve(filePath));
+          manifest.groups.forEach((checkpoint) => keep(checkpoint.layoutPath));
+          if (keepRenders) {
+            mergeImages.forEach(keep);
+            manifest.groups.forEach((checkpoint) => {
+              keep(checkpoint.renderPath);
+              keep(checkpoint.untitledRenderPath);
+              keep(checkpoint.contactSheetPath);
+              (checkpoint.variants || []).forEach((variant) => keep(variant.path));
+              (checkpoint.views || []).forEach((view) => keep(view.path));
+              (checkpoint.revisions || []).forEach((revision) => keep(revision.path));
+            });
+          }
+
           // Delete PNG files from generated directory
           if (fs.existsSync(outputDir)) {
             const outputFiles = await fs.promises.readdir(outputDir);
             let deletedCount = 0;
             for (const file of outputFiles) {
-              if (path.extname(file).toLowerCase() === ".png") {
+              if (
+                path.extname(file).toLowerCase() === ".png" &&
+                !keepFiles.has(path.resolve(outputDir, file))
+              ) {
                 const filePath = path.join(outputDir, file);
                 await fs.promises.unlink(filePath);
                 deletedCount++;
@@ -314,8 +975,9 @@ async function pdfGenerate(pdfPath, options = {}) {
             console.log(`[PDFGenerate] Deleted ${deletedCount} PNG file(s) from ${outputDir}`);
           }
           
-          // Delete PNG files from pdf-pages directory
-          if (fs.existsSync(pagesDir)) {
+          // Delete PNG files from pdf-pages directory; with kept renders the page images stay
+          // too, so regenerating a room reuses them instead of rendering the PDF again
+          if (!keepRenders && fs.existsSync(pagesDir)) {
             const pageFiles = await fs.promises.readdir(pagesDir);
             let deletedPageCount = 0;
             for (const file of pageFiles) {
@@ -347,17 +1009,42 @@ async function pdfGenerate(pdfPath, options = {}) {
     concurrency: workerCount,
     groups,
     roomDetections,
+    // Pages left out of every group by the grouping plan
+    excludedPages: pageNumbers.filter(
+      (_, index) => !groups.some((group) => group.pageIndices.includes(index))
+    ),
     mergedPdfPath,
+    manifestPath: getManifestPath(outputDir),
+    cache: summarizeCacheStats(cache),
+  };
+}
+
+// Wraps the optional onProgress callback so a throwing listener can never break a run.
+function createProgressReporter(onProgress) {
+  if (typeof onProgress !== "function") {
+    return () => {};
+  }
+  return (event) => {
+    try {
+      onProgress({ ...event, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.warn("[PDFGenerate] Progress listener failed:", error.message || error);
+    }
   };
 }
 
-function normalizeRoomName(name) {
-  if (!name) return null;
-  return name
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
+function summarizeCacheStats(cache) {
+  if (!cache) {
+    return null;
+  }
+  const stats = cache.getStats();
+  const empty = { hits: 0, misses: 0, writes: 0 };
+  return {
+    dir: cache.dir,
+    mode: cache.mode,
+    describe: stats.describe || { ...empty },
+    render: stats.render || { ...empty },
+  };
 }
 
 module.exports = { pdfGenerate };
@@ -367,7 +1054,7 @@ if (require.main === module) {
     const argv = process.argv.slice(2);
     if (argv.length === 0) {
       console.log(
-        "Usage: node PDFGenerate.js <input.pdf> [--pagesDir=pdf-pages] [--outputDir=generated] [--skip-conversion=4] [--skip=0] [--continue] [--concurrency=2] [--dpi=110] [--no-merge] [--merged-output=path/to/output.pdf]"
+        "Usage: node PDFGenerate.js <input.pdf> [--pagesDir=pdf-pages] [--outputDir=generated] [--skip-conversion=4] [--skip=0] [--continue] [--concurrency=2] [--dpi=110] [--no-merge] [--merged-output=path/to/output.pdf] [--resume] [--no-cache] [--refresh-cache] [--cache-dir=.stagify-cache] [--cache-max-mb=500] [--cache-max-entries=1000] [--provider=mock] [--describe-provider=openai] [--image-provider=gemini] [--sd-url=http://127.0.0.1:7860] [--sd-steps=30] [--sd-seed=-1] [--sd-sampler=name] [--sd-mode=img2img] [--ollama-url=http://127.0.0.1:11434] [--ollama-api=ollama|openai] [--describe-model=name] [--no-fix-geometry] [--no-layout] [--layout-reference] [--layout-in-pdf] [--no-model-export] [--no-qa] [--max-regenerations=2] [--render-size=1920x1080] [--aspect-ratio=16:9] [--fit=cover|contain] [--variations=1] [--views=4] [--viewpoints=opposite-corner,overhead] [--view-layout=pages|contact-sheet] [--keep-renders] [--regenerate=3,Kitchen] [--redescribe] [--review-grouping] [--approve-grouping] [--grouping-plan=path/to/plan.json] [--groups=path/to/overrides.json] [--match-threshold=0.8] [--group-non-adjacent] [--no-attach-facets] [--room-type-titles] [--no-text-layer] [--ocr-workers=N]"
       );
       process.exit(1);
     }
@@ -416,11 +1103,124 @@ if (require.main === module) {
         cliOptions.mergeOutput = false;
       } else if (flag === "merged-output") {
         cliOptions.mergedOutputPath = value;
+      } else if (flag === "provider") {
+        cliOptions.provider = value;
+      } else if (flag === "describe-provider") {
+        cliOptions.describeProvider = value;
+      } else if (flag === "image-provider") {
+        cliOptions.imageProvider = value;
+      } else if (flag === "ollama-url") {
+        cliOptions.describeProviderOptions = { ...cliOptions.describeProviderOptions, baseUrl: value };
+      } else if (flag === "ollama-api") {
+        cliOptions.describeProviderOptions = { ...cliOptions.describeProviderOptions, api: value };
+      } else if (flag === "describe-model") {
+        cliOptions.describeOptions = { ...cliOptions.describeOptions, model: value };
+      } else if (flag === "sd-url") {
+        cliOptions.imageProviderOptions = { ...cliOptions.imageProviderOptions, baseUrl: value };
+      } else if (flag === "sd-steps" || flag === "sd-seed") {
+        const parsed = Number(value);
+        if (Number.isInteger(parsed)) {
+          cliOptions.imageProviderOptions = {
+            ...cliOptions.imageProviderOptions,
+            [flag === "sd-steps" ? "steps" : "seed"]: parsed,
+          };
+        }
+      } else if (flag === "sd-sampler") {
+        cliOptions.imageProviderOptions = { ...cliOptions.imageProviderOptions, sampler: value };
+      } else if (flag === "sd-mode") {
+        cliOptions.imageProviderOptions = { ...cliOptions.imageProviderOptions, mode: value };
+      } else if (flag === "no-fix-geometry") {
+        cliOptions.fixGeometry = false;
+      } else if (flag === "no-layout") {
+        cliOptions.layoutDiagram = false;
+      } else if (flag === "layout-reference") {
+        cliOptions.layoutAsReference = true;
+      } else if (flag === "layout-in-pdf") {
+        cliOptions.layoutInPdf = true;
+      } else if (flag === "no-model-export") {
+        cliOptions.modelExport = false;
+      } else if (flag === "render-size") {
+        cliOptions.renderSize = value;
+      } else if (flag === "aspect-ratio") {
+        cliOptions.renderAspectRatio = value;
+      } else if (flag === "fit") {
+        cliOptions.renderFit = value;
+      } else if (flag === "regenerate") {
+        cliOptions.regenerateGroups = value.split(",").map((entry) => entry.trim()).filter(Boolean);
+      } else if (flag === "redescribe") {
+        cliOptions.redescribe = true;
+      } else if (flag === "review-grouping") {
+        cliOptions.reviewGrouping = true;
+      } else if (flag === "approve-grouping") {
+        cliOptions.approveGrouping = true;
+      } else if (flag === "grouping-plan") {
+        cliOptions.groupingPlan = value;
+      } else if (flag === "groups") {
+        cliOptions.groupOverrides = value;
+      } else if (flag === "match-threshold") {
+        cliOptions.groupingOptions = { ...cliOptions.groupingOptions, matchThreshold: Number(value) };
+      } else if (flag === "group-non-adjacent") {
+        cliOptions.groupingOptions = { ...cliOptions.groupingOptions, nonAdjacent: true };
+      } else if (flag === "no-attach-facets") {
+        cliOptions.groupingOptions = { ...cliOptions.groupingOptions, attachFacets: false };
+      } else if (flag === "room-type-titles") {
+        cliOptions.roomTypeTitles = true;
+      } else if (flag === "no-text-layer") {
+        cliOptions.useTextLayer = false;
+      } else if (flag === "ocr-workers") {
+        const parsed = Number(value);
+        if (Number.isInteger(parsed) && parsed > 0) {
+          cliOptions.ocrPool = { size: parsed };
+        }
+      } else if (flag === "keep-renders") {
+        cliOptions.keepRenders = true;
+      } else if (flag === "views") {
+        cliOptions.views = Number(value);
+      } else if (flag === "viewpoints") {
+        cliOptions.viewpoints = value;
+      } else if (flag === "view-layout") {
+        cliOptions.viewLayout = value;
+      } else if (flag === "variations") {
+        const parsed = Number(value);
+        if (Number.isInteger(parsed) && parsed > 0) {
+          cliOptions.variations = parsed;
+        }
+      } else if (flag === "no-qa") {
+        cliOptions.renderQa = false;
+      } else if (flag === "max-regenerations") {
+        const parsed = Number(value);
+        if (Number.isInteger(parsed) && parsed >= 0) {
+          cliOptions.maxRegenerations = parsed;
+        }
+      } else if (flag === "resume") {
+        cliOptions.resume = true;
+      } else if (flag === "no-cache") {
+        cliOptions.cache = false;
+      } else if (flag === "refresh-cache") {
+        cliOptions.cache = { ...(cliOptions.cache || {}), mode: "refresh" };
+      } else if (flag === "cache-dir") {
+        cliOptions.cache = { ...(cliOptions.cache || {}), dir: value };
+      } else if (flag === "cache-max-mb") {
+        const parsed = Number(value);
+        if (!Number.isNaN(parsed) && parsed > 0) {
+          cliOptions.cache = { ...(cliOptions.cache || {}), maxSizeMB: parsed };
+        }
+      } else if (flag === "cache-max-entries") {
+        const parsed = Number(value);
+        if (Number.isInteger(parsed) && parsed > 0) {
+          cliOptions.cache = { ...(cliOptions.cache || {}), maxEntries: parsed };
+        }
       }
     }
 
     try {
       const result = await pdfGenerate(pdfPath, cliOptions);
+      if (result.awaitingApproval) {
+        console.log(
+          `[PDFGenerate] Review ${result.groupingPlanPath}, then run again with --approve-grouping.`
+        );
+        return;
+      }
       const successCount = result.processedPages.filter(
         (entry) => entry && !entry.error
       ).length;
@@ -430,6 +1230,11 @@ if (require.main === module) {
       console.log(
         `[PDFGenerate] Completed ${successCount} page(s); ${errorCount} error(s).`
       );
+      if (result.cache) {
+        console.log(
+          `[PDFGenerate] Cache: describe ${result.cache.describe.hits} hit(s)/${result.cache.describe.misses} miss(es), render ${result.cache.render.hits} hit(s)/${result.cache.render.misses} miss(es).`
+        );
+      }
       if (errorCount > 0) {
         console.warn(
           "[PDFGenerate] Some pages failed during processing. Check logs for details."
@@ -0,0 +1,66 @@
+/**
+ * Helpers for AbortSignal-based cancellation shared by the pipeline stages.
+ * A cancelled run rejects with an Error whose name is "AbortError", matching
+ * what fetch and the OpenAI SDK throw, so callers can test for it uniformly.
+ */
+
+function createAbortError(signal) {
+  const reason = signal && signal.reason;
+  if (reason instanceof Error && reason.name === "AbortError") {
+    return reason;
+  }
+  const error = new Error(
+    reason instanceof Error ? reason.message : reason ? String(reason) : "Operation cancelled"
+  );
+  error.name = "AbortError";
+  error.code = "ABORT_ERR";
+  return error;
+}
+
+function isAbortError(error) {
+  return Boolean(
+    error &&
+      (error.name === "AbortError" ||
+        error.code === "ABORT_ERR" ||
+        error.constructor?.name === "APIUserAbortError")
+  );
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError(signal);
+  }
+}
+
+/**
+ * Settles with `promise`, or rejects with an AbortError as soon as `signal` aborts.
+ * Use for APIs that do not accept a signal themselves; the underlying work is
+ * abandoned rather than stopped, but the caller is released immediately.
+ */
+function raceWithSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(signal));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener("abort", onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener("abort", onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+module.exports = {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  raceWithSignal,
+};
@@ -1,43 +1,26 @@
 const fs = require("fs");
 const path = require("path");
-const OpenAI = require("openai");
+const { throwIfAborted, createAbortError, isAbortError } = require("./abort");
+const { computeCacheKey } = require("./response-cache");
+const { scheduleRequest } = require("./request-scheduler");
+const { resolveDescribeProvider } = require("./providers");
+const {
+  GEOMETRY_SCHEMA,
+  DESCRIPTION_SCHEMA,
+  validateGeometry,
+  extractJsonObject,
+} = require("./geometry-schema");
 
-function readApiKey(explicitKey, keyFile) {
-  if (explicitKey) return explicitKey;
-
-  const candidates = [
-    keyFile,
-    path.resolve(process.cwd(), "gpt-key.txt"),
-    path.resolve(process.cwd(), "key.txt"),
-  ].filter(Boolean);
-
-  for (const filePath of candidates) {
-    try {
-      const key = fs.readFileSync(filePath, "utf8").trim();
-      if (key) {
-        return key;
-      }
-    } catch (error) {
-      if (error.code !== "ENOENT") {
-        throw error;
-      }
-    }
-  }
-
-  if (process.env.OPENAI_API_KEY) {
-    return process.env.OPENAI_API_KEY;
-  }
-
-  throw new Error(
-    "OpenAI API key not found. Provide one via options.apiKey, OPENAI_API_KEY, or gpt-key.txt/key.txt."
-  );
-}
+const GEOMETRY_SCHEMA_HINT =
+  '{ "room": { "length_ft": number, "width_ft": number, "ceiling_ft": number }, "openings": [{ "type": "door|window", "wall": "north|south|east|west", "width_ft": number, "height_ft": number, "offset_ft": number }], "fixtures": [{ "name": "string", "quantity": number, "dimensions_ft": [length, depth, height], "position_ft": { "from_west": number, "from_north": number }, "orientation": "faces X wall" }] }';
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
 
 async function describeSpaceFromFloorplan(imagePaths, options = {}) {
   const inputPaths = Array.isArray(imagePaths) ? imagePaths : [imagePaths];
   if (!inputPaths.length) {
     throw new Error("At least one imagePath is required");
   }
+  throwIfAborted(options.signal);
 
   const resolvedImages = await Promise.all(
     inputPaths.map(async (p) => {
@@ -48,10 +31,6 @@ async function describeSpaceFromFloorplan(imagePaths, options = {}) {
     })
   );
 
-  const apiKey = readApiKey(options.apiKey, options.keyFile);
-  const openai = new OpenAI({ apiKey });
-  console.log("[describe] OpenAI client initialized");
-
   const imageParts = await Promise.all(
     resolvedImages.map(async (resolved) => {
       const imageBuffer = await fs.promises.readFile(resolved);
@@ -61,16 +40,19 @@ async function describeSpaceFromFloorplan(imagePaths, options = {}) {
         `[describe] Loaded image ${resolved} (${imageBuffer.length} bytes, ext=${fileExt})`
       );
       return {
-        type: "input_image",
-        image_url: `data:image/${fileExt === "jpg" ? "jpeg" : fileExt};base64,${imageBuffer.toString("base64")}`,
         path: resolved,
+        mimeType: `image/${fileExt === "jpg" ? "jpeg" : fileExt}`,
+        data: imageBuffer,
       };
     })
   );
 
+  const provider = resolveDescribeProvider(options.provider);
+  // Ask for one JSON object ({ narrative, geometry }) when the provider can enforce a schema
+  const structured = options.structuredOutput !== false && Boolean(provider.supportsStructuredOutput);
   const prompt =
     options.prompt ||
-    buildPromptWithContext(options.roomContext || {});
+    buildPromptWithContext(options.roomContext || {}, { structured });
   console.log(
     "[describe] Prompt length:",
     prompt.length,
@@ -78,65 +60,206 @@ async function describeSpaceFromFloorplan(imagePaths, options = {}) {
     imageParts.length
   );
 
-  const response = await openai.responses.create({
-    model: options.model || "gpt-4o-mini",
-    input: [
-      {
-        role: "user",
-        content: [
-          { type: "input_text", text: prompt },
-          ...imageParts.map((part) => ({ type: part.type, image_url: part.image_url })),
-        ],
-      },
-    ],
+  const model = options.model || provider.defaultModel;
+  const maxRepairAttempts = Number.isInteger(options.maxRepairAttempts)
+    ? Math.max(0, options.maxRepairAttempts)
+    : DEFAULT_MAX_REPAIR_ATTEMPTS;
+  const cache = options.cache || null;
+  const cacheKey = cache
+    ? computeCacheKey({
+        kind: "describe",
+        provider: provider.name,
+        model,
+        prompt,
+        structured,
+        maxRepairAttempts,
+        providerOptions: options.providerOptions,
+        images: imageParts.map((part) => part.data),
+      })
+    : null;
+  if (cache) {
+    const cached = await cache.get("describe", cacheKey, "json");
+    if (cached) {
+      console.log("[describe] Using cached description");
+      return JSON.parse(cached.toString("utf8"));
+    }
+  }
+
+  console.log(
+    `[describe] Using provider ${provider.name} (model ${model}${structured ? ", structured output" : ""})`
+  );
+  const callProvider = async (request) => {
+    let output;
+    try {
+      output = await scheduleRequest(
+        provider.name,
+        () =>
+          provider.describe({
+            ...(options.providerOptions || {}),
+            ...request,
+            model,
+            roomContext: options.roomContext,
+            signal: options.signal,
+            apiKey: options.apiKey,
+            keyFile: options.keyFile,
+          }),
+        {
+          ...(options.retry || {}),
+          signal: options.signal,
+          onRetry: options.onRetry,
+          label: "describe",
+        }
+      );
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw createAbortError(options.signal);
+      }
+      throw error;
+    }
+    if (!output) {
+      console.error(`[describe] No text output in ${provider.name} response`);
+      throw new Error(`No textual output returned from the ${provider.name} response.`);
+    }
+    return output;
+  };
+
+  const rawOutput = await callProvider({
+    prompt,
+    images: imageParts,
+    responseSchema: structured ? DESCRIPTION_SCHEMA : undefined,
   });
-  console.log("[describe] Received OpenAI response");
+  const result = parseDescriptionOutput(rawOutput, { structured });
+
+  let errors = getGeometryErrors(result);
+  const initialErrors = errors;
+  let repairAttempts = 0;
+  while (errors.length > 0 && repairAttempts < maxRepairAttempts) {
+    repairAttempts += 1;
+    throwIfAborted(options.signal);
+    console.warn(
+      `[describe] Geometry invalid (${errors.length} error(s)); repair attempt ${repairAttempts}/${maxRepairAttempts}`
+    );
+    // The repair is a text-only JSON fix, so the board images are not sent again
+    const repairOutput = await callProvider({
+      prompt: buildRepairPrompt(result, errors, { structured }),
+      images: [],
+      responseSchema: structured ? GEOMETRY_SCHEMA : undefined,
+    });
+    const repaired = extractJsonObject(repairOutput);
+    if (repaired.value) {
+      result.geometry = repaired.value;
+      result.geometryText = repaired.jsonText;
+    }
+    errors = repaired.value ? getGeometryErrors(result) : [`repair output: ${repaired.error}`];
+  }
 
-  const rawOutput =
-    response.output_text ??
-    response.content?.map((item) => item.text).filter(Boolean).join("\n").trim();
+  result.validation = {
+    valid: errors.length === 0,
+    errors,
+    initialErrors,
+    repairAttempts,
+    structured,
+  };
+  if (errors.length > 0) {
+    console.warn(`[describe] Geometry still invalid after ${repairAttempts} repair attempt(s):`, errors);
+  } else if (repairAttempts > 0) {
+    console.log(`[describe] Geometry repaired after ${repairAttempts} attempt(s)`);
+  }
+
+  if (cache) {
+    await cache.set("describe", cacheKey, "json", JSON.stringify(result));
+  }
+  return result;
+}
 
-  if (!rawOutput) {
-    console.error("[describe] No text output in OpenAI response");
-    throw new Error("No textual output returned from the OpenAI response.");
+function getGeometryErrors(result) {
+  if (!result.geometry) {
+    return [result.parseError || "geometry JSON missing"];
   }
+  return validateGeometry(result.geometry).errors;
+}
+
+function buildRepairPrompt(result, errors, { structured }) {
+  return [
+    "The room geometry JSON you produced for an interior design brief does not match the required schema.",
+    "Validation errors:",
+    ...errors.map((error) => `- ${error}`),
+    "",
+    "Your previous output:",
+    result.geometryText || result.raw,
+    "",
+    "Brief the geometry must agree with:",
+    result.narrative || "",
+    "",
+    `Required schema (all measurements in feet): ${GEOMETRY_SCHEMA_HINT}`,
+    structured
+      ? "Return only the corrected geometry JSON object."
+      : "Respond with only the corrected JSON object: no narrative, no heading, no code fences.",
+  ].join("\n");
+}
 
+/**
+ * Splits the model output into the narrative and the geometry object. Structured output
+ * is a single { narrative, geometry } object; otherwise the geometry follows the
+ * GEOMETRY_JSON marker. Sets `parseError` when no geometry could be parsed.
+ */
+function parseDescriptionOutput(rawOutput, { structured = false } = {}) {
   const trimmed = rawOutput.trim();
   console.log("[describe] Raw output length:", trimmed.length);
+
+  if (structured) {
+    const parsed = extractJsonObject(trimmed);
+    if (parsed.value && typeof parsed.value.narrative === "string") {
+      const geometry = parsed.value.geometry ?? null;
+      console.log("[describe] Parsed structured description");
+      const result = {
+        narrative: parsed.value.narrative.trim(),
+        geometry,
+        raw: trimmed,
+        geometryText: geometry ? JSON.stringify(geometry, null, 2) : null,
+      };
+      if (!geometry) {
+        result.parseError = "geometry missing from structured output";
+      }
+      return result;
+    }
+    // Some OpenAI-compatible servers ignore the schema; fall back to the marker format
+    console.warn("[describe] Structured output not honored; falling back to GEOMETRY_JSON parsing");
+  }
+
   const marker = "GEOMETRY_JSON";
   const markerIndex = trimmed.indexOf(marker);
 
   if (markerIndex === -1) {
     console.warn("[describe] GEOMETRY_JSON marker not found in response");
-    return { narrative: trimmed, geometry: null, raw: trimmed };
+    return {
+      narrative: trimmed,
+      geometry: null,
+      raw: trimmed,
+      parseError: "GEOMETRY_JSON marker not found",
+    };
   }
 
   const narrative = trimmed.slice(0, markerIndex).trim();
   console.log("[describe] Narrative length:", narrative.length);
-  const jsonStart = trimmed.indexOf("{", markerIndex);
-  const jsonEnd = trimmed.lastIndexOf("}");
-
-  if (jsonStart === -1 || jsonEnd === -1 || jsonEnd <= jsonStart) {
-    console.warn("[describe] Unable to locate JSON block after marker");
-    return { narrative: trimmed, geometry: null, raw: trimmed };
+  const parsed = extractJsonObject(trimmed, markerIndex);
+  if (!parsed.value) {
+    console.warn("[describe] Failed to parse geometry JSON:", parsed.error);
+    return {
+      narrative: narrative || trimmed,
+      geometry: null,
+      raw: trimmed,
+      parseError: `GEOMETRY_JSON ${parsed.error}`,
+    };
   }
 
-  let geometry = null;
-  const jsonText = trimmed.slice(jsonStart, jsonEnd + 1);
-  try {
-    geometry = JSON.parse(jsonText);
-    console.log("[describe] Parsed geometry JSON successfully");
-  } catch (error) {
-    console.error("[describe] Failed to parse geometry JSON:", error);
-    geometry = null;
-  }
-
-  return { narrative, geometry, raw: trimmed, geometryText: geometry ? jsonText : null };
+  console.log("[describe] Parsed geometry JSON successfully");
+  return { narrative, geometry: parsed.value, raw: trimmed, geometryText: parsed.jsonText };
 }
 
 module.exports = { describeSpaceFromFloorplan };
 
-function buildPromptWithContext(roomContext) {
+function buildPromptWithContext(roomContext, { structured = false } = {}) {
   const basePrompt = [
     "You are an architectural visualization assistant.",
     "You receive a design board page composed of:",
@@ -152,6 +275,10 @@ function buildPromptWithContext(roomContext) {
     );
   }
 
+  if (roomContext?.roomTypeLabel) {
+    basePrompt.push(`The room type is ${roomContext.roomTypeLabel}.`);
+  }
+
   const headingSummaries = Array.isArray(roomContext?.headings)
     ? roomContext.headings
         .map((heading, index) => {
@@ -159,7 +286,10 @@ function buildPromptWithContext(roomContext) {
             heading?.rawText ||
             heading?.roomName ||
             `Unlabeled Page ${index + 1}`;
-          return `Page ${index + 1} heading: "${label}"`;
+          const facet = heading?.facet
+            ? ` (${heading.facet.replace(/-/g, " ")} page for this room)`
+            : "";
+          return `Page ${index + 1} heading: "${label}"${facet}`;
         })
         .filter(Boolean)
     : [];
@@ -181,13 +311,23 @@ function buildPromptWithContext(roomContext) {
     "- If dimension labels or textual annotations appear on the collage or furniture photography, read them to infer size but do not treat the text itself as part of the visual design; note explicitly that such labels should not appear in the final render.",
     "- Integrate the colour palette: specify wall paint, trim, flooring, textiles, accent colors, metals, and any artwork tones, ensuring the palette corresponds to the swatch panel.",
     "- Lighting details (fixtures, placement, colour temperature) plus accessory/prop notes (plants, art, tableware).",
-    "- Deduce the intended camera/viewpoint for the hero render (typically from the main entry looking toward the feature wall). State this explicitly and then specify each furniture/fixture location relative to that camera: left/right offset, forward/back distance, vertical elevation.",
-    "- After the narrative, output a JSON object under the heading `GEOMETRY_JSON` with the precise layout data in feet, following this schema:",
-    '{ "room": { "length_ft": number, "width_ft": number, "ceiling_ft": number }, "openings": [{ "type": "door|window", "wall": "north|south|east|west", "width_ft": number, "height_ft": number, "offset_ft": number }], "fixtures": [{ "name": "string", "quantity": number, "dimensions_ft": [length, depth, height], "position_ft": { "from_west": number, "from_north": number }, "orientation": "faces X wall" }] }',
-    "- Do not include any extra commentary after the JSON block.",
-    "Respond with the narrative first, then the line `GEOMETRY_JSON` on its own line, followed immediately by the JSON object."
+    "- Deduce the intended camera/viewpoint for the hero render (typically from the main entry looking toward the feature wall). State this explicitly and then specify each furniture/fixture location relative to that camera: left/right offset, forward/back distance, vertical elevation."
   );
 
+  if (structured) {
+    basePrompt.push(
+      "Respond with a single JSON object with two keys: `narrative`, the full brief as text, and `geometry`, the precise layout data in feet following this schema:",
+      GEOMETRY_SCHEMA_HINT
+    );
+  } else {
+    basePrompt.push(
+      "- After the narrative, output a JSON object under the heading `GEOMETRY_JSON` with the precise layout data in feet, following this schema:",
+      GEOMETRY_SCHEMA_HINT,
+      "- Do not include any extra commentary after the JSON block.",
+      "Respond with the narrative first, then the line `GEOMETRY_JSON` on its own line, followed immediately by the JSON object."
+    );
+  }
+
   return basePrompt.join(" ");
 }
 
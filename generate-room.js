@@ -1,76 +1,40 @@
 const fs = require("fs");
 const path = require("path");
-const { GoogleGenAI } = require("@google/genai");
-
-function readGeminiKey(explicitKey, keyFile) {
-  if (explicitKey) return explicitKey;
-
-  const candidates = [
-    keyFile,
-    path.resolve(process.cwd(), "key.txt"),
-    path.resolve(process.cwd(), "gemini-key.txt"),
-  ].filter(Boolean);
-
-  for (const filePath of candidates) {
-    try {
-      const key = fs.readFileSync(filePath, "utf8").trim();
-      if (key) {
-        return key;
-      }
-    } catch (error) {
-      if (error.code !== "ENOENT") {
-        throw error;
-      }
-    }
-  }
-
-  if (process.env.GEMINI_API_KEY) {
-    return process.env.GEMINI_API_KEY.trim();
-  }
-
-  throw new Error(
-    "Gemini API key not found. Provide one via options.apiKey, GEMINI_API_KEY, or key.txt/gemini-key.txt."
-  );
-}
-
-function extractInlineImage(response) {
-  const parts =
-    response?.response?.candidates?.[0]?.content?.parts ||
-    response?.candidates?.[0]?.content?.parts ||
-    [];
-
-  for (const part of parts) {
-    if (part.inlineData?.data) {
-      return Buffer.from(part.inlineData.data, "base64");
-    }
-  }
-  return null;
-}
+const { throwIfAborted } = require("./abort");
+const { computeCacheKey } = require("./response-cache");
+const { scheduleRequest } = require("./request-scheduler");
+const { resolveImageProvider } = require("./providers");
+const sharp = require("sharp");
+const { resolveOutputSize, fitImage, describeFraming } = require("./output-size");
 
 async function generateRoomImage(description, options = {}) {
   if (!description) {
     throw new Error("description is required");
   }
+  throwIfAborted(options.signal);
 
-  const apiKey = readGeminiKey(options.apiKey, options.keyFile);
-  const ai = new GoogleGenAI({ apiKey });
-  console.log("Gemini prompt (truncated):", description.slice(0, 400));
+  const provider = resolveImageProvider(options.provider);
+  // Validated before any request so a bad size fails fast
+  const outputSize = resolveOutputSize({ size: options.size, aspectRatio: options.aspectRatio });
+  console.log(`${provider.name} prompt (truncated):`, description.slice(0, 400));
   console.log(
     "generateRoomImage options:",
-    JSON.stringify({ ...options, referenceImages: undefined, referenceImage: undefined })
+    JSON.stringify({
+      ...options,
+      referenceImages: undefined,
+      referenceImage: undefined,
+      signal: undefined,
+      cache: undefined,
+      provider: provider.name,
+    })
   );
-  const promptParts = [
-    {
-      role: "user",
-      parts: [
-        {
-          text: options.negativePrompt
-            ? `${description}\n\nAvoid: ${options.negativePrompt}`
-            : description,
-        },
-      ],
-    },
-  ];
+  let prompt =
+    options.negativePrompt && !provider.supportsNegativePrompt
+      ? `${description}\n\nAvoid: ${options.negativePrompt}`
+      : description;
+  if (outputSize && !provider.supportsOutputSize) {
+    prompt = `${prompt}\n\n${describeFraming(outputSize)}`;
+  }
 
   const referenceImages = [];
   if (Array.isArray(options.referenceImages) && options.referenceImages.length) {
@@ -78,65 +42,79 @@ async function generateRoomImage(description, options = {}) {
   } else if (options.referenceImage) {
     referenceImages.push(options.referenceImage);
   }
-
-  referenceImages.forEach((reference, index) => {
-    if (!reference) return;
-    const mimeType = reference.mimeType || "image/png";
-    promptParts[0].parts.push({
-      inlineData: {
-        mimeType,
-        data: reference.data,
-      },
-    });
-    console.log(
-      `Attached reference image #${index + 1} with mimeType:`,
-      mimeType
-    );
-  });
-
-  const response = await ai.models.generateContent({
-    model: options.model || "gemini-2.5-flash-image",
-    contents: promptParts,
-  });
-  console.log("Gemini response metadata:", JSON.stringify({
-    hasResponse: Boolean(response),
-    candidateCount: response?.response?.candidates?.length ?? response?.candidates?.length ?? 0,
+  const references = referenceImages.filter(Boolean).map((reference) => ({
+    mimeType: reference.mimeType || "image/png",
+    data: reference.data,
   }));
 
-  console.log(
-    "Gemini raw response summary:",
-    JSON.stringify(response?.response?.candidates?.[0]?.content?.parts || [], null, 2).slice(0, 400)
-  );
-
-  const candidate =
-    response?.response?.candidates?.[0] || response?.candidates?.[0] || null;
-
-  const contentParts = candidate?.content?.parts || response?.parts || [];
+  const model = options.model || provider.defaultModel;
+  const cache = options.cache || null;
+  const cacheKey = cache
+    ? computeCacheKey({
+        kind: "render",
+        provider: provider.name,
+        model,
+        prompt,
+        negativePrompt: provider.supportsNegativePrompt ? options.negativePrompt : undefined,
+        providerOptions: options.providerOptions,
+        // Regenerations get their own entries instead of replaying the first attempt
+        ...(options.attempt > 1 ? { attempt: options.attempt } : {}),
+        ...(options.variant > 1 ? { variant: options.variant } : {}),
+        ...(outputSize ? { outputSize } : {}),
+        ...(options.edit ? { edit: true } : {}),
+        references: references.map((reference) => ({
+          mimeType: reference.mimeType,
+          data: Buffer.from(reference.data, "base64"),
+        })),
+      })
+    : null;
+  const cachedImage = cache ? await cache.get("render", cacheKey, "png") : null;
+  if (cachedImage) {
+    console.log("generateRoomImage using cached render");
+    return writeRenderOutput(await finishImage(cachedImage, outputSize, options), options);
+  }
 
-  let imageBuffer = null;
-  for (const part of contentParts) {
-    if (part.inlineData?.data) {
-      imageBuffer = Buffer.from(part.inlineData.data, "base64");
-      break;
+  const imageBuffer = await scheduleRequest(
+    provider.name,
+    () =>
+      provider.generateImage({
+        ...(options.providerOptions || {}),
+        prompt,
+        negativePrompt: provider.supportsNegativePrompt ? options.negativePrompt : undefined,
+        referenceImages: references,
+        model,
+        roomName: options.roomName,
+        attempt: options.attempt || 1,
+        variant: options.variant || 1,
+        outputSize,
+        edit: Boolean(options.edit),
+        signal: options.signal,
+        apiKey: options.apiKey,
+        keyFile: options.keyFile,
+      }),
+    {
+      ...(options.retry || {}),
+      signal: options.signal,
+      onRetry: options.onRetry,
+      label: "generateRoomImage",
     }
-  }
+  );
 
-  if (!imageBuffer) {
-    const fallback =
-      contentParts
-        .map((part) => part.text)
-        .filter(Boolean)
-        .join("\n")
-        .trim() || "No inline image data returned.";
-    console.error(
-      "Gemini response contained no image data. Fallback text:",
-      fallback
-    );
-    throw new Error(
-      `Image generation completed but no image data was provided. Model said: ${fallback}`
-    );
+  if (cache) {
+    await cache.set("render", cacheKey, "png", imageBuffer);
   }
 
+  return writeRenderOutput(await finishImage(imageBuffer, outputSize, options), options);
+}
+
+// The cache keeps the provider's image; cropping and resizing run on every use
+async function finishImage(imageBuffer, outputSize, options) {
+  return outputSize
+    ? fitImage(imageBuffer, outputSize, { fit: options.fit, background: options.background })
+    : imageBuffer;
+}
+
+async function writeRenderOutput(imageBuffer, options) {
   let outputPath = options.outputPath;
   if (options.writeFile !== false) {
     const resolvedOutput =
@@ -152,14 +130,51 @@ async function generateRoomImage(description, options = {}) {
   };
 }
 
-module.exports = { generateRoomImage };
+/**
+ * Image-to-image edit of an existing render: the render is sent as the only reference
+ * together with a natural-language change ("make the sofa green"), and the model is asked
+ * to keep everything else as it is.
+ *
+ * @param {Buffer|string} image - Untitled render bytes or a path to one.
+ * @param {string} instruction - The change to make.
+ * @param {object} [options] - generateRoomImage options (provider, providerOptions, size,
+ *   outputPath, writeFile, signal, ...). The result is fitted to the source render's size
+ *   unless `size` or `aspectRatio` is given.
+ * @returns {Promise<{ imageBuffer: Buffer, outputPath: string|undefined }>}
+ */
+async function editRoomImage(image, instruction, options = {}) {
+  if (!image) {
+    throw new Error("image is required");
+  }
+  if (!instruction || !String(instruction).trim()) {
+    throw new Error("instruction must be a non-empty string");
+  }
+  const source = Buffer.isBuffer(image) ? image : await fs.promises.readFile(image);
+  const { width, height } = await sharp(source).metadata();
+  const prompt = [
+    "Edit the attached interior render. Apply exactly this change:",
+    String(instruction).trim(),
+    "",
+    "Keep everything else identical: the camera position and framing, lighting, room geometry, and every other piece of furniture, material and colour.",
+    "The output must be the full edited render only, with no text, labels, borders or side-by-side comparison.",
+  ].join("\n");
+
+  return generateRoomImage(prompt, {
+    ...options,
+    edit: true,
+    size: options.size || (options.aspectRatio ? undefined : `${width}x${height}`),
+    referenceImages: [{ mimeType: "image/png", data: source.toString("base64") }],
+  });
+}
+
+module.exports = { generateRoomImage, editRoomImage };
 
 if (require.main === module) {
   (async () => {
     const argv = process.argv.slice(2);
     if (argv.length === 0) {
       console.log(
-        "Usage: node generate-room.js <description-or-file> [--output=room.png] [--size=1024x1024] [--model=models/imagegeneration]"
+        "Usage: node generate-room.js <description-or-file> [--output=room.png] [--size=1920x1080] [--aspect-ratio=16:9] [--fit=cover|contain] [--model=models/imagegeneration] [--provider=gemini|stable-diffusion|mock] [--sd-url=http://127.0.0.1:7860] [--steps=30] [--seed=-1] [--sampler=name] [--sd-mode=img2img|txt2img]"
       );
       process.exit(1);
     }
@@ -174,8 +189,25 @@ if (require.main === module) {
         cliOptions.outputPath = value;
       } else if (flag === "size") {
         cliOptions.size = value;
+      } else if (flag === "aspect-ratio") {
+        cliOptions.aspectRatio = value;
+      } else if (flag === "fit") {
+        cliOptions.fit = value;
       } else if (flag === "model") {
         cliOptions.model = value;
+      } else if (flag === "provider") {
+        cliOptions.provider = value;
+      } else if (flag === "sd-url") {
+        cliOptions.providerOptions = { ...cliOptions.providerOptions, baseUrl: value };
+      } else if (flag === "steps" || flag === "seed") {
+        const parsed = Number(value);
+        if (Number.isInteger(parsed)) {
+          cliOptions.providerOptions = { ...cliOptions.providerOptions, [flag]: parsed };
+        }
+      } else if (flag === "sampler") {
+        cliOptions.providerOptions = { ...cliOptions.providerOptions, sampler: value };
+      } else if (flag === "sd-mode") {
+        cliOptions.providerOptions = { ...cliOptions.providerOptions, mode: value };
       } else if (flag === "negative") {
         cliOptions.negativePrompt = value;
       } else if (flag === "key-file") {
@@ -0,0 +1,269 @@
+/**
+ * Physical sanity checks for room geometry parsed from the describe step.
+ *
+ * geometry-schema.js only checks that the JSON has the right shape; this module checks
+ * that the room it describes can exist. Coordinates follow the prompt's convention:
+ * `from_west` runs along the north/south walls (`room.length_ft`), `from_north` along
+ * the east/west walls (`room.width_ft`), and a fixture's position is its north-west
+ * corner. A fixture that faces the east or west wall has its footprint rotated.
+ *
+ * Issues have a severity of "error" (physically impossible) or "warning" (suspicious).
+ * With `fix` enabled, obvious errors are clamped in a corrected copy of the geometry
+ * and the issue is marked `fixed: true`; the input is never modified.
+ */
+
+const DEFAULT_CEILING_FT = 9;
+const PLAUSIBLE_CEILING_FT = [6.5, 30];
+// Items that legitimately sit on, under or above other furniture
+const LAYERED_FIXTURE_PATTERN =
+  /\b(rug|carpet|runner|mat|pendant|chandelier|light|lamp|sconce|art|artwork|painting|print|mirror|curtain|drape|blind|shelf|shelving|tv|television|plant|cushion|pillow|throw)s?\b/i;
+
+function isPositiveNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+function overlap(startA, sizeA, startB, sizeB) {
+  return Math.min(startA + sizeA, startB + sizeB) - Math.max(startA, startB);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * @param {object} geometry - Parsed GEOMETRY_JSON.
+ * @param {object} [options]
+ * @param {boolean} [options.fix=true] - Clamp obvious errors in the returned copy.
+ * @returns {{ issues: Array<{ severity: string, code: string, path: string, message: string, fixed: boolean }>, geometry: object|null, changed: boolean }}
+ */
+function checkGeometry(geometry, options = {}) {
+  const fix = options.fix !== false;
+  const issues = [];
+  if (!geometry || typeof geometry !== "object") {
+    return { issues, geometry: null, changed: false };
+  }
+
+  const corrected = JSON.parse(JSON.stringify(geometry));
+  let changed = false;
+  const report = (severity, code, path, message, applyFix) => {
+    const fixed = Boolean(fix && applyFix);
+    if (fixed) {
+      applyFix();
+      changed = true;
+    }
+    issues.push({ severity, code, path, message, fixed });
+  };
+
+  const room = corrected.room && typeof corrected.room === "object" ? corrected.room : null;
+  if (!room) {
+    return { issues, geometry: corrected, changed };
+  }
+
+  if (!isPositiveNumber(room.ceiling_ft)) {
+    report(
+      "error",
+      "ceiling-height",
+      "room.ceiling_ft",
+      `Ceiling height ${room.ceiling_ft} is not a positive number`,
+      () => {
+        room.ceiling_ft = DEFAULT_CEILING_FT;
+      }
+    );
+  } else if (room.ceiling_ft < PLAUSIBLE_CEILING_FT[0] || room.ceiling_ft > PLAUSIBLE_CEILING_FT[1]) {
+    report(
+      "warning",
+      "ceiling-height",
+      "room.ceiling_ft",
+      `Ceiling height ${room.ceiling_ft} ft is outside the usual ${PLAUSIBLE_CEILING_FT.join("-")} ft`
+    );
+  }
+
+  const hasFloor = isPositiveNumber(room.length_ft) && isPositiveNumber(room.width_ft);
+  if (!hasFloor) {
+    report(
+      "error",
+      "room-size",
+      "room",
+      `Room dimensions ${room.length_ft} x ${room.width_ft} ft are not positive numbers`
+    );
+    // Without a floor there is nothing to check positions against
+    return { issues, geometry: corrected, changed };
+  }
+
+  // Height checks are skipped when the ceiling is invalid and was not fixed
+  const hasCeiling = () => isPositiveNumber(room.ceiling_ft);
+  const wallLength = (wall) =>
+    wall === "north" || wall === "south" ? room.length_ft : room.width_ft;
+
+  (Array.isArray(corrected.openings) ? corrected.openings : []).forEach((opening, index) => {
+    if (!opening || typeof opening !== "object") return;
+    if (!["north", "south", "east", "west"].includes(opening.wall)) return;
+    const path = `openings[${index}]`;
+    const label = `${opening.type || "opening"} on the ${opening.wall} wall`;
+    const length = wallLength(opening.wall);
+
+    if (isPositiveNumber(opening.width_ft) && opening.width_ft > length) {
+      report(
+        "error",
+        "opening-too-wide",
+        `${path}.width_ft`,
+        `The ${label} is ${opening.width_ft} ft wide but the wall is ${length} ft`,
+        () => {
+          opening.width_ft = length;
+          opening.offset_ft = 0;
+        }
+      );
+    }
+    if (
+      isPositiveNumber(opening.width_ft) &&
+      typeof opening.offset_ft === "number" &&
+      (opening.offset_ft < 0 || opening.offset_ft + opening.width_ft > length)
+    ) {
+      report(
+        "error",
+        "opening-outside-wall",
+        `${path}.offset_ft`,
+        `The ${label} runs from ${opening.offset_ft} to ${round(
+          opening.offset_ft + opening.width_ft
+        )} ft along a ${length} ft wall`,
+        () => {
+          opening.offset_ft = round(Math.min(Math.max(0, opening.offset_ft), length - opening.width_ft));
+        }
+      );
+    }
+    if (hasCeiling() && isPositiveNumber(opening.height_ft) && opening.height_ft > room.ceiling_ft) {
+      report(
+        "error",
+        "opening-too-tall",
+        `${path}.height_ft`,
+        `The ${label} is ${opening.height_ft} ft tall under a ${room.ceiling_ft} ft ceiling`,
+        () => {
+          opening.height_ft = room.ceiling_ft;
+        }
+      );
+    }
+  });
+
+  const footprints = [];
+  (Array.isArray(corrected.fixtures) ? corrected.fixtures : []).forEach((fixture, index) => {
+    if (!fixture || typeof fixture !== "object") return;
+    const path = `fixtures[${index}]`;
+    const name = fixture.name || `fixture ${index + 1}`;
+    const dims = fixture.dimensions_ft;
+    const position = fixture.position_ft;
+    const footprint = getFixtureFootprint(fixture);
+    if (!footprint) return;
+    const { sizeX, sizeY } = footprint;
+
+    if (sizeX > room.length_ft || sizeY > room.width_ft) {
+      report(
+        "error",
+        "fixture-too-large",
+        `${path}.dimensions_ft`,
+        `${name} (${round(sizeX)} x ${round(sizeY)} ft footprint) does not fit in a ${room.length_ft} x ${room.width_ft} ft room`
+      );
+    }
+    if (hasCeiling() && isPositiveNumber(dims[2]) && dims[2] > room.ceiling_ft) {
+      report(
+        "error",
+        "fixture-too-tall",
+        `${path}.dimensions_ft[2]`,
+        `${name} is ${dims[2]} ft tall under a ${room.ceiling_ft} ft ceiling`,
+        () => {
+          fixture.dimensions_ft[2] = room.ceiling_ft;
+        }
+      );
+    }
+
+    if (
+      !position ||
+      typeof position.from_west !== "number" ||
+      typeof position.from_north !== "number"
+    ) {
+      return;
+    }
+    const maxWest = Math.max(0, room.length_ft - sizeX);
+    const maxNorth = Math.max(0, room.width_ft - sizeY);
+    if (
+      position.from_west < 0 ||
+      position.from_north < 0 ||
+      position.from_west > maxWest ||
+      position.from_north > maxNorth
+    ) {
+      const outside = position.from_west > room.length_ft || position.from_north > room.width_ft;
+      report(
+        "error",
+        outside ? "fixture-outside-room" : "fixture-crosses-wall",
+        `${path}.position_ft`,
+        outside
+          ? `${name} is positioned at (${position.from_west}, ${position.from_north}) ft, outside the ${room.length_ft} x ${room.width_ft} ft room`
+          : `${name} at (${position.from_west}, ${position.from_north}) ft extends through a wall`,
+        () => {
+          position.from_west = round(Math.min(Math.max(0, position.from_west), maxWest));
+          position.from_north = round(Math.min(Math.max(0, position.from_north), maxNorth));
+        }
+      );
+    }
+
+    if (!LAYERED_FIXTURE_PATTERN.test(name)) {
+      footprints.push({ index, name, fixture, sizeX, sizeY });
+    }
+  });
+
+  // Checked after position fixes so clamped fixtures are compared where they now sit
+  for (let a = 0; a < footprints.length; a += 1) {
+    for (let b = a + 1; b < footprints.length; b += 1) {
+      const first = footprints[a];
+      const second = footprints[b];
+      const overlapX = overlap(
+        first.fixture.position_ft.from_west,
+        first.sizeX,
+        second.fixture.position_ft.from_west,
+        second.sizeX
+      );
+      const overlapY = overlap(
+        first.fixture.position_ft.from_north,
+        first.sizeY,
+        second.fixture.position_ft.from_north,
+        second.sizeY
+      );
+      // Ignore a few inches of touching; descriptions are approximate
+      if (overlapX > 0.25 && overlapY > 0.25) {
+        report(
+          "warning",
+          "fixtures-overlap",
+          `fixtures[${first.index}]`,
+          `${first.name} and ${second.name} overlap by ${round(overlapX)} x ${round(overlapY)} ft`
+        );
+      }
+    }
+  }
+
+  return { issues, geometry: corrected, changed };
+}
+
+/**
+ * Floor footprint of a fixture in room axes: `sizeX` along `from_west`, `sizeY` along
+ * `from_north`. Returns null when the dimensions are unusable.
+ */
+function getFixtureFootprint(fixture) {
+  const dims = Array.isArray(fixture?.dimensions_ft) ? fixture.dimensions_ft : [];
+  if (dims.length < 2 || !dims.slice(0, 2).every(isPositiveNumber)) {
+    return null;
+  }
+  const rotated = /\b(east|west)\b/i.test(fixture.orientation || "");
+  return {
+    sizeX: rotated ? dims[1] : dims[0],
+    sizeY: rotated ? dims[0] : dims[1],
+    rotated,
+  };
+}
+
+function summarizeIssues(issues) {
+  const errors = issues.filter((issue) => issue.severity === "error").length;
+  const warnings = issues.length - errors;
+  const fixed = issues.filter((issue) => issue.fixed).length;
+  return `${errors} error(s), ${warnings} warning(s), ${fixed} fixed`;
+}
+
+module.exports = { checkGeometry, getFixtureFootprint, summarizeIssues };
@@ -0,0 +1,219 @@
+/**
+ * Formal definition of the room geometry that describe.js asks the model for, plus
+ * helpers to extract it from free-form model output and validate it.
+ *
+ * The JSON Schemas only use keywords that structured-output modes accept (types,
+ * enums, required, additionalProperties). Numeric ranges and array lengths are
+ * checked by validateGeometry instead.
+ */
+
+const WALLS = ["north", "south", "east", "west"];
+const OPENING_TYPES = ["door", "window"];
+
+const GEOMETRY_SCHEMA = {
+  title: "room_geometry",
+  type: "object",
+  properties: {
+    room: {
+      type: "object",
+      properties: {
+        length_ft: { type: "number" },
+        width_ft: { type: "number" },
+        ceiling_ft: { type: "number" },
+      },
+      required: ["length_ft", "width_ft", "ceiling_ft"],
+      additionalProperties: false,
+    },
+    openings: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          type: { type: "string", enum: OPENING_TYPES },
+          wall: { type: "string", enum: WALLS },
+          width_ft: { type: "number" },
+          height_ft: { type: "number" },
+          offset_ft: { type: "number" },
+        },
+        required: ["type", "wall", "width_ft", "height_ft", "offset_ft"],
+        additionalProperties: false,
+      },
+    },
+    fixtures: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          quantity: { type: "integer" },
+          dimensions_ft: { type: "array", items: { type: "number" } },
+          position_ft: {
+            type: "object",
+            properties: {
+              from_west: { type: "number" },
+              from_north: { type: "number" },
+            },
+            required: ["from_west", "from_north"],
+            additionalProperties: false,
+          },
+          orientation: { type: "string" },
+        },
+        required: ["name", "quantity", "dimensions_ft", "position_ft", "orientation"],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ["room", "openings", "fixtures"],
+  additionalProperties: false,
+};
+
+// Whole describe response when the provider supports structured output
+const DESCRIPTION_SCHEMA = {
+  title: "room_description",
+  type: "object",
+  properties: {
+    narrative: { type: "string" },
+    geometry: GEOMETRY_SCHEMA,
+  },
+  required: ["narrative", "geometry"],
+  additionalProperties: false,
+};
+
+/**
+ * Checks `geometry` against GEOMETRY_SCHEMA plus the numeric constraints the schema
+ * cannot express.
+ *
+ * @returns {{ valid: boolean, errors: string[] }} Errors are prefixed with the JSON path.
+ */
+function validateGeometry(geometry) {
+  const errors = [];
+  const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+  const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+  const checkNumber = (value, at, { positive = false } = {}) => {
+    if (!isNumber(value)) {
+      errors.push(`${at} must be a number`);
+    } else if (positive && value <= 0) {
+      errors.push(`${at} must be greater than 0`);
+    } else if (value < 0) {
+      errors.push(`${at} must not be negative`);
+    }
+  };
+
+  if (!isObject(geometry)) {
+    return { valid: false, errors: ["geometry must be an object"] };
+  }
+
+  if (!isObject(geometry.room)) {
+    errors.push("room is required and must be an object");
+  } else {
+    checkNumber(geometry.room.length_ft, "room.length_ft", { positive: true });
+    checkNumber(geometry.room.width_ft, "room.width_ft", { positive: true });
+    checkNumber(geometry.room.ceiling_ft, "room.ceiling_ft", { positive: true });
+  }
+
+  if (!Array.isArray(geometry.openings)) {
+    errors.push("openings is required and must be an array");
+  } else {
+    geometry.openings.forEach((opening, index) => {
+      const at = `openings[${index}]`;
+      if (!isObject(opening)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (!OPENING_TYPES.includes(opening.type)) {
+        errors.push(`${at}.type must be one of ${OPENING_TYPES.join(", ")}`);
+      }
+      if (!WALLS.includes(opening.wall)) {
+        errors.push(`${at}.wall must be one of ${WALLS.join(", ")}`);
+      }
+      checkNumber(opening.width_ft, `${at}.width_ft`, { positive: true });
+      checkNumber(opening.height_ft, `${at}.height_ft`, { positive: true });
+      checkNumber(opening.offset_ft, `${at}.offset_ft`);
+    });
+  }
+
+  if (!Array.isArray(geometry.fixtures)) {
+    errors.push("fixtures is required and must be an array");
+  } else {
+    geometry.fixtures.forEach((fixture, index) => {
+      const at = `fixtures[${index}]`;
+      if (!isObject(fixture)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (typeof fixture.name !== "string" || !fixture.name.trim()) {
+        errors.push(`${at}.name must be a non-empty string`);
+      }
+      if (!Number.isInteger(fixture.quantity) || fixture.quantity < 1) {
+        errors.push(`${at}.quantity must be an integer of at least 1`);
+      }
+      if (!Array.isArray(fixture.dimensions_ft) || fixture.dimensions_ft.length !== 3) {
+        errors.push(`${at}.dimensions_ft must be [length, depth, height]`);
+      } else {
+        fixture.dimensions_ft.forEach((value, dimIndex) =>
+          checkNumber(value, `${at}.dimensions_ft[${dimIndex}]`, { positive: true })
+        );
+      }
+      if (!isObject(fixture.position_ft)) {
+        errors.push(`${at}.position_ft must be an object`);
+      } else {
+        checkNumber(fixture.position_ft.from_west, `${at}.position_ft.from_west`);
+        checkNumber(fixture.position_ft.from_north, `${at}.position_ft.from_north`);
+      }
+      if (typeof fixture.orientation !== "string") {
+        errors.push(`${at}.orientation must be a string`);
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Finds the first complete JSON object in `text` at or after `fromIndex`, matching
+ * braces (and skipping braces inside strings) rather than assuming the object runs
+ * to the last "}" in the text.
+ *
+ * @returns {{ jsonText: string|null, value: any, error: string|null }}
+ */
+function extractJsonObject(text, fromIndex = 0) {
+  const start = text.indexOf("{", fromIndex);
+  if (start === -1) {
+    return { jsonText: null, value: null, error: "no JSON object found" };
+  }
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let index = start; index < text.length; index += 1) {
+    const char = text[index];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === "{") depth += 1;
+    else if (char === "}") {
+      depth -= 1;
+      if (depth === 0) {
+        const jsonText = text.slice(start, index + 1);
+        try {
+          return { jsonText, value: JSON.parse(jsonText), error: null };
+        } catch (error) {
+          return { jsonText, value: null, error: `invalid JSON: ${error.message}` };
+        }
+      }
+    }
+  }
+  return { jsonText: null, value: null, error: "JSON object is not closed" };
+}
+
+module.exports = {
+  GEOMETRY_SCHEMA,
+  DESCRIPTION_SCHEMA,
+  validateGeometry,
+  extractJsonObject,
+};
@@ -1,10 +1,12 @@
 const fs = require("fs");
 const path = require("path");
 const sharp = require("sharp");
-const Tesseract = require("tesseract.js");
+const { throwIfAborted } = require("./abort");
+const { recognizeText } = require("./ocr-pool");
 
 /**
- * Identify the room name from the heading text at the top of a board page using OCR.
+ * Identify the room name from the heading text at the top of a board page. The page's PDF
+ * text layer is used when given and it holds a heading; otherwise the heading is read by OCR.
  *
  * @param {string} imagePath - Path to the PNG/JPEG page image.
  * @param {object} [options]
@@ -15,10 +17,16 @@ const Tesseract = require("tesseract.js");
  * @param {number} [options.minConfidence=45] - Minimum confidence for an OCR line to be considered.
  * @param {boolean} [options.clean=true] - Whether to normalize and clean the detected room heading.
  * @param {object} [options.tesseractOptions] - Additional options passed to Tesseract.recognize.
+ * @param {object} [options.ocrPool] - OCR worker pool (see ocr-pool.js) to run on; used when it was
+ *   created for `language`, in which case `tesseractOptions` are the pool's.
  * @param {boolean} [options.previewCrop=true] - Whether to write the cropped region to disk for inspection.
  * @param {string} [options.previewCropDir] - Directory to place debug crop images (defaults to source image directory).
  * @param {string|false} [options.debugOutput] - Explicit path for the debug crop (false to disable writing).
- * @returns {Promise<{ roomName: string|null, rawText: string|null, confidence: number }>}
+ * @param {object} [options.textLayer] - Text layer of the page, as read by pdfToPngs with `extractText`.
+ * @param {number} [options.textTopBandRatio=0.15] - Portion of the page height (0-1) searched for a text-layer heading.
+ * @param {number} [options.textCenterBandRatio=0.5] - Portion of the page width (0-1), centered, a text-layer heading must sit in.
+ * @param {AbortSignal} [options.signal] - Cancels the detection; rejects with an AbortError.
+ * @returns {Promise<{ roomName: string|null, rawText: string|null, confidence: number, source: "text-layer"|"ocr" }>}
  */
 async function identifyRoomName(imagePath, options = {}) {
   if (!imagePath) {
@@ -27,11 +35,19 @@ async function identifyRoomName(imagePath, options = {}) {
 
   const resolvedPath = path.resolve(imagePath);
   console.log(
-    `[identify-room] Starting OCR heading detection for ${resolvedPath} with options:`,
-    JSON.stringify(options)
+    `[identify-room] Starting heading detection for ${resolvedPath} with options:`,
+    JSON.stringify({ ...options, signal: undefined, textLayer: undefined, ocrPool: undefined })
   );
   await assertFileReadable(resolvedPath);
 
+  if (options.textLayer) {
+    const fromText = identifyRoomNameFromText(options.textLayer, options);
+    if (fromText) {
+      return fromText;
+    }
+    console.log("[identify-room] No usable heading in the text layer; falling back to OCR");
+  }
+
   const {
     topCropRatio = 0.1,
     innerBandRatio = 1.0,
@@ -43,7 +59,10 @@ async function identifyRoomName(imagePath, options = {}) {
     debugOutput,
     previewCrop = false,
     previewCropDir,
+    ocrPool,
+    signal,
   } = options;
+  throwIfAborted(signal);
 
   if (topCropRatio <= 0) {
     throw new Error("topCropRatio must be greater than 0.");
@@ -109,11 +128,12 @@ async function identifyRoomName(imagePath, options = {}) {
   console.log(
     `[identify-room] Running Tesseract OCR (language=${language}, minConfidence=${minConfidence})`
   );
-  const result = await Tesseract.recognize(
-    topRegionBuffer,
+  const result = await recognizeText(topRegionBuffer, {
+    pool: ocrPool,
     language,
-    tesseractOptions
-  );
+    tesseractOptions,
+    signal,
+  });
 
   const lines = Array.isArray(result?.data?.lines) ? result.data.lines : [];
   const eligibleLines = lines.filter(
@@ -150,7 +170,7 @@ async function identifyRoomName(imagePath, options = {}) {
 
   if (!rawText) {
     console.warn("[identify-room] No suitable OCR text detected");
-    return { roomName: null, rawText: null, confidence: 0 };
+    return { roomName: null, rawText: null, confidence: 0, source: "ocr" };
   }
 
   const roomName = clean ? cleanHeading(rawText) : rawText;
@@ -163,10 +183,124 @@ async function identifyRoomName(imagePath, options = {}) {
     roomName,
     rawText,
     confidence,
+    source: "ocr",
     previewPath: cropDebugSettings.previewPath || null,
   };
 }
 
+/**
+ * Pick the room heading from a page's text layer: the line set in the largest type within
+ * the top band of the page, the topmost of equally large lines. Only lines centred in the
+ * middle of the page count, so a logo or project name in a corner is never the heading.
+ *
+ * @param {{ width: number, height: number, items: object[] }} textLayer - As read by pdfToPngs.
+ * @param {object} [options]
+ * @param {number} [options.textTopBandRatio=0.15] - Portion of the page height (0-1) to search.
+ * @param {number} [options.textCenterBandRatio=0.5] - Portion of the page width (0-1), centered
+ *   horizontally, that the middle of a heading line must fall in.
+ * @param {boolean} [options.clean=true] - Whether to normalize and clean the detected room heading.
+ * @returns {{ roomName: string, rawText: string, confidence: number, source: "text-layer", fontSize: number }|null}
+ *   null when the band holds no text with letters in it (e.g. a scanned or outlined page).
+ */
+function identifyRoomNameFromText(textLayer, options = {}) {
+  const { clean = true } = options;
+  const lines = findHeadingCandidates(textLayer, options);
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const largest = Math.max(...lines.map((line) => line.fontSize));
+  // Sizes a rounding step apart are the same type size
+  const heading = lines
+    .filter((line) => line.fontSize >= largest * 0.95)
+    .sort((a, b) => a.y - b.y)[0];
+  console.log(
+    "[identify-room] Text layer candidates:",
+    lines.map((line) => ({ text: line.text, fontSize: Number(line.fontSize.toFixed(1)) }))
+  );
+
+  const rawText = heading.text;
+  const roomName = clean ? cleanHeading(rawText) : rawText;
+  console.log(
+    `[identify-room] Selected heading="${roomName}" from the text layer (raw="${rawText}", fontSize=${heading.fontSize.toFixed(1)})`
+  );
+  // Text from the PDF itself is exact, unlike an OCR reading
+  return { roomName, rawText, confidence: 100, source: "text-layer", fontSize: heading.fontSize };
+}
+
+/**
+ * Reduce a text layer to the items that can make up a heading, for storing with a run. The
+ * heading picked from the reduced layer is the one picked from the whole layer.
+ *
+ * @param {{ width: number, height: number, items: object[] }} textLayer - As read by pdfToPngs.
+ * @param {object} [options] - `textTopBandRatio` and `textCenterBandRatio`, as for identifyRoomNameFromText.
+ * @returns {{ width: number, height: number, items: object[] }}
+ */
+function trimTextLayer(textLayer, options = {}) {
+  const items = findHeadingCandidates(textLayer, options).flatMap((line) => line.items);
+  return { width: textLayer?.width || 0, height: textLayer?.height || 0, items };
+}
+
+// Lines with letters in them in the top band, centred in the middle of the page
+function findHeadingCandidates(textLayer, options) {
+  const { textTopBandRatio = 0.15, textCenterBandRatio = 0.5 } = options;
+  if (textTopBandRatio <= 0 || textTopBandRatio > 1) {
+    throw new Error("textTopBandRatio must be between 0 and 1.");
+  }
+  if (textCenterBandRatio <= 0 || textCenterBandRatio > 1) {
+    throw new Error("textCenterBandRatio must be between 0 and 1.");
+  }
+  const items = Array.isArray(textLayer?.items) ? textLayer.items : [];
+  const pageWidth = textLayer?.width || 0;
+  const bandBottom = (textLayer?.height || 0) * textTopBandRatio;
+  const bandLeft = (pageWidth * (1 - textCenterBandRatio)) / 2;
+  const bandRight = pageWidth - bandLeft;
+  return groupTextLines(items.filter((item) => item.y < bandBottom)).filter((line) => {
+    const middle = line.x + line.width / 2;
+    return /[A-Za-z]{2,}/.test(line.text) && middle >= bandLeft && middle <= bandRight;
+  });
+}
+
+// Joins text items set on the same baseline in the same size into lines, left to right
+function groupTextLines(items) {
+  const lines = [];
+  items
+    .slice()
+    .sort((a, b) => a.y - b.y || a.x - b.x)
+    .forEach((item) => {
+      const line = lines.find(
+        (candidate) =>
+          Math.abs(candidate.y - item.y) <= candidate.fontSize * 0.5 &&
+          Math.abs(candidate.fontSize - item.fontSize) <= candidate.fontSize * 0.1
+      );
+      if (line) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+      }
+    });
+  return lines.map((line) => {
+    const sorted = line.items.sort((a, b) => a.x - b.x);
+    let text = "";
+    sorted.forEach((item, index) => {
+      const previous = sorted[index - 1];
+      // Items of one word can be split; only a visible gap is a space
+      const gap = previous ? item.x - (previous.x + previous.width) : 0;
+      text += (previous && gap > line.fontSize * 0.15 ? " " : "") + item.text;
+    });
+    const x = sorted[0].x;
+    const right = Math.max(...sorted.map((item) => item.x + item.width));
+    return {
+      y: line.y,
+      x,
+      width: right - x,
+      fontSize: line.fontSize,
+      text: text.replace(/\s+/g, " ").trim(),
+      items: sorted,
+    };
+  });
+}
+
 async function cropTopRegion(
   imagePath,
   topCropRatio,
@@ -237,12 +371,20 @@ async function assertFileReadable(targetPath) {
   return fs.promises.access(targetPath, fs.constants.R_OK);
 }
 
+const OCR_DIGIT_LETTERS = { 0: "o", 1: "l", 5: "s" };
+
 function cleanHeading(text) {
   if (!text) return text;
 
   let cleaned = text.replace(/\s+/g, " ").trim();
 
-  cleaned = cleaned.replace(/[^A-Za-z\s]+/g, " ").replace(/\s+/g, " ").trim();
+  // OCR reads some letters as look-alike digits ("BEDRO0M"). Only digits with letters on both
+  // sides are taken for letters, so room numbers ("Bedroom 2", "BEDROOM1", "1ST FLOOR") stay
+  cleaned = cleaned.replace(/(?<=[A-Za-z])[015]+(?=[A-Za-z])/g, (digits) =>
+    digits.replace(/[015]/g, (digit) => OCR_DIGIT_LETTERS[digit])
+  );
+
+  cleaned = cleaned.replace(/[^A-Za-z0-9\s]+/g, " ").replace(/\s+/g, " ").trim();
 
   const separatorMatch = cleaned.split(/\s*[-–—|]\s*/);
   if (separatorMatch.length > 1) {
@@ -274,6 +416,9 @@ function looksLikeAllCaps(text = "") {
 
 module.exports = {
   identifyRoomName,
+  identifyRoomNameFromText,
+  trimTextLayer,
+  cleanHeading,
 };
 
 if (require.main === module) {
@@ -0,0 +1,494 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { pdfGenerate } = require("./PDFGenerate");
+const { getManifestPath } = require("./run-manifest");
+const { isAbortError } = require("./abort");
+
+// Lifecycle of a job: queued -> rendering -> identifying -> generating -> merging -> done
+// Any stage may end in "failed" instead, or "cancelled" when the job is cancelled.
+// Jobs created with reviewGrouping pause in "awaiting-approval" after identifying and
+// continue from "queued" once their grouping is approved. A regeneration of a "done" job
+// that fails or is cancelled returns it to "done" with its previous result.
+const JOB_STATES = [
+  "queued",
+  "rendering",
+  "identifying",
+  "awaiting-approval",
+  "generating",
+  "merging",
+  "done",
+  "failed",
+  "cancelled",
+];
+
+const maxConcurrentJobs = parsePositiveInt(process.env.JOB_CONCURRENCY, 1);
+const jobTtlMs = parsePositiveInt(process.env.JOB_TTL_MINUTES, 60) * 60 * 1000;
+// Events kept per job so late SSE subscribers can replay what they missed
+const maxStoredEvents = 1000;
+
+const jobs = new Map();
+const pendingQueue = [];
+let activeJobs = 0;
+
+/**
+ * Registers a new pipeline job and queues it for execution.
+ *
+ * @param {object} params
+ * @param {string} params.pdfPath - Uploaded PDF to process (deleted once the run finishes).
+ * @param {string} [params.originalName] - Client-side file name, reported back in job status.
+ * @param {string} params.baseDir - Directory under which the job's temp directory is created.
+ * @param {object} [params.options] - Options forwarded to pdfGenerate (directories are filled in here).
+ * @returns {object} The job record.
+ */
+function createJob({ pdfPath, originalName, baseDir, options = {} }) {
+  if (!pdfPath) {
+    throw new Error("pdfPath is required");
+  }
+  if (!baseDir) {
+    throw new Error("baseDir is required");
+  }
+
+  const id = `${Date.now()}-${Math.random().toString(36).substring(7)}`;
+  const tempDir = path.join(baseDir, id);
+  const now = new Date().toISOString();
+
+  const job = {
+    id,
+    state: "queued",
+    originalName: originalName || path.basename(pdfPath),
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    pdfPath,
+    tempDir,
+    options: {
+      ...options,
+      pagesDir: path.join(tempDir, "pdf-pages"),
+      outputDir: path.join(tempDir, "generated"),
+      mergedOutputPath: path.join(tempDir, "merged-output.pdf"),
+    },
+    groups: [],
+    mergedPdfPath: null,
+    groupingPlanPath: null,
+    error: null,
+    events: [],
+    nextEventId: 1,
+    emitter: new EventEmitter(),
+    abortController: new AbortController(),
+  };
+
+  job.completion = new Promise((resolve) => {
+    job.resolveCompletion = resolve;
+  });
+
+  jobs.set(id, job);
+  pendingQueue.push(job);
+  console.log(`[Jobs] Queued job ${id} for ${job.originalName}`);
+  drainQueue();
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Resolves with the job once it reaches "done", "failed" or "cancelled" (or pauses in
+ * "awaiting-approval"). Never rejects.
+ */
+function waitForJob(job) {
+  return job.completion;
+}
+
+/**
+ * Forgets a job and removes its temp directory.
+ */
+async function removeJob(id) {
+  const job = jobs.get(id);
+  if (!job) return;
+  jobs.delete(id);
+  if (job.expiryTimer) {
+    clearTimeout(job.expiryTimer);
+  }
+  try {
+    await fs.promises.rm(job.tempDir, { recursive: true, force: true });
+    console.log(`[Jobs] Cleaned up temp directory for job ${id}`);
+  } catch (error) {
+    console.warn(`[Jobs] Cleanup error for job ${id}:`, error.message);
+  }
+}
+
+/**
+ * Re-queues a finished job to regenerate some of its rooms. The job's page images,
+ * manifest and the other rooms' renders are reused, and the merged PDF is rebuilt in place.
+ *
+ * @param {string} id
+ * @param {object} params
+ * @param {Array<number|string>} params.groups - Group ids or room names.
+ * @param {boolean} [params.redescribe=false] - Also re-run the description step.
+ * @returns {object|null} The job, or null if it is unknown or cannot be regenerated.
+ */
+function regenerateJob(id, { groups, redescribe = false }) {
+  const job = jobs.get(id);
+  if (!job || job.state !== "done" || !fs.existsSync(job.pdfPath)) {
+    return null;
+  }
+  console.log(`[Jobs] Regenerating ${groups.join(", ")} of job ${job.id}`);
+  // Put back by endFailedRun if the regeneration does not finish
+  job.previousRun = {
+    mergedPdfPath: job.mergedPdfPath,
+    groups: job.groups.map((group) => ({ ...group })),
+    files: [],
+  };
+  return requeueJob(job, { regenerateGroups: groups, redescribe });
+}
+
+/**
+ * Continues a job waiting in "awaiting-approval" with its reviewed grouping.
+ *
+ * @param {string} id
+ * @param {object} [params]
+ * @param {object} [params.plan] - Grouping plan to use; defaults to the one saved in the
+ *   job's output directory (the proposal, or an update stored since).
+ * @returns {object|null} The job, or null if it is unknown or not awaiting approval.
+ */
+function approveJob(id, { plan } = {}) {
+  const job = jobs.get(id);
+  if (!job || job.state !== "awaiting-approval" || !fs.existsSync(job.pdfPath)) {
+    return null;
+  }
+  console.log(`[Jobs] Grouping of job ${job.id} approved`);
+  // Later regenerations reuse the approved grouping from the run manifest
+  job.options = { ...job.options, reviewGrouping: false };
+  return requeueJob(job, { approveGrouping: true, ...(plan ? { groupingPlan: plan } : {}) });
+}
+
+// Queues a job that already ran once again, with `rerun` added to its pdfGenerate options
+function requeueJob(job, rerun) {
+  if (job.expiryTimer) {
+    clearTimeout(job.expiryTimer);
+    job.expiryTimer = null;
+  }
+  job.rerun = rerun;
+  job.error = null;
+  job.finishedAt = null;
+  job.abortController = new AbortController();
+  job.completion = new Promise((resolve) => {
+    job.resolveCompletion = resolve;
+  });
+  setState(job, "queued");
+  pendingQueue.push(job);
+  drainQueue();
+  return job;
+}
+
+/**
+ * Cancels a queued or running job. In-flight OCR and model calls are aborted and the
+ * job's temp directory is removed once the pipeline has stopped.
+ *
+ * @returns {boolean} False if the job had already finished.
+ */
+function cancelJob(id, reason = "Job cancelled") {
+  const job = jobs.get(id);
+  if (!job || isJobFinished(job)) {
+    return false;
+  }
+
+  console.log(`[Jobs] Cancelling job ${id}: ${reason}`);
+  const queueIndex = pendingQueue.indexOf(job);
+  if (queueIndex !== -1 || job.state === "awaiting-approval") {
+    // Not running: settle it here since runJob will not
+    if (queueIndex !== -1) {
+      pendingQueue.splice(queueIndex, 1);
+    }
+    job.error = reason;
+    endFailedRun(job, "cancelled").then(() => finishJob(job));
+  } else {
+    job.abortController.abort(reason);
+  }
+  return true;
+}
+
+function isJobFinished(job) {
+  return job.state === "done" || job.state === "failed" || job.state === "cancelled";
+}
+
+/**
+ * Subscribes to a job's progress events. Events already recorded with an id greater
+ * than `afterEventId` are replayed synchronously before live events are delivered.
+ *
+ * @returns {Function} Unsubscribe function.
+ */
+function subscribeToJob(job, listener, afterEventId = 0) {
+  job.events
+    .filter((event) => event.id > afterEventId)
+    .forEach((event) => listener(event));
+  job.emitter.on("event", listener);
+  return () => job.emitter.off("event", listener);
+}
+
+/**
+ * Public view of a job, safe to send to clients.
+ */
+function serializeJob(job) {
+  const completedGroups = job.groups.filter((group) => group.status === "done").length;
+  const failedGroups = job.groups.filter((group) => group.status === "failed").length;
+  return {
+    id: job.id,
+    state: job.state,
+    originalName: job.originalName,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: {
+      totalGroups: job.groups.length,
+      completedGroups,
+      failedGroups,
+      groups: job.groups.map((group) => ({ ...group })),
+    },
+    error: job.error,
+  };
+}
+
+function drainQueue() {
+  while (activeJobs < maxConcurrentJobs && pendingQueue.length > 0) {
+    const job = pendingQueue.shift();
+    activeJobs += 1;
+    runJob(job).finally(() => {
+      activeJobs -= 1;
+      drainQueue();
+    });
+  }
+}
+
+async function runJob(job) {
+  job.startedAt = new Date().toISOString();
+  setState(job, "rendering");
+
+  try {
+    await fs.promises.mkdir(job.tempDir, { recursive: true });
+    // The upload moves into the job directory so rooms can be regenerated until the job expires
+    const keptPdfPath = path.join(job.tempDir, "input.pdf");
+    if (job.pdfPath !== keptPdfPath) {
+      await fs.promises.rename(job.pdfPath, keptPdfPath);
+      job.pdfPath = keptPdfPath;
+    }
+    console.log(`[Jobs] Starting job ${job.id}`);
+    if (job.previousRun) {
+      await backupPreviousRun(job);
+    }
+
+    // Group progress is rebuilt from the run's group-formed events
+    job.groups = [];
+    const result = await pdfGenerate(job.pdfPath, {
+      ...job.options,
+      ...(job.rerun || {}),
+      signal: job.abortController.signal,
+      onProgress: (event) => handleProgress(job, event),
+    });
+
+    if (result.awaitingApproval) {
+      job.groupingPlanPath = result.groupingPlanPath;
+      setState(job, "awaiting-approval");
+      console.log(`[Jobs] Job ${job.id} is waiting for its grouping to be approved`);
+      return;
+    }
+    if (!result.mergedPdfPath || !fs.existsSync(result.mergedPdfPath)) {
+      throw new Error("Failed to generate merged PDF");
+    }
+
+    job.mergedPdfPath = result.mergedPdfPath;
+    setState(job, "done");
+    console.log(`[Jobs] Job ${job.id} completed: ${job.mergedPdfPath}`);
+  } catch (error) {
+    job.error = error && (error.message || String(error));
+    if (isAbortError(error) || job.abortController.signal.aborted) {
+      console.warn(`[Jobs] Job ${job.id} cancelled`);
+      await endFailedRun(job, "cancelled");
+    } else {
+      console.error(`[Jobs] Job ${job.id} failed:`, error.message || error);
+      await endFailedRun(job, "failed");
+    }
+  } finally {
+    await finishJob(job);
+  }
+}
+
+// Copies the merged PDF and run manifest of the finished run that is being regenerated
+async function backupPreviousRun(job) {
+  const backupDir = path.join(job.tempDir, "previous-run");
+  await fs.promises.mkdir(backupDir, { recursive: true });
+  for (const filePath of [job.previousRun.mergedPdfPath, getManifestPath(job.options.outputDir)]) {
+    if (filePath && fs.existsSync(filePath)) {
+      const backupPath = path.join(backupDir, path.basename(filePath));
+      await fs.promises.copyFile(filePath, backupPath);
+      job.previousRun.files.push({ filePath, backupPath });
+    }
+  }
+}
+
+// Settles a run that failed or was cancelled. A regeneration gets the previous result back
+// and the job stays "done"; the reason is reported in a "regenerate-failed" event.
+async function endFailedRun(job, state) {
+  if (!job.previousRun) {
+    setState(job, state);
+    return;
+  }
+  console.warn(`[Jobs] Regeneration of job ${job.id} ${state}; restoring the previous result`);
+  try {
+    for (const { filePath, backupPath } of job.previousRun.files) {
+      await fs.promises.copyFile(backupPath, filePath);
+    }
+  } catch (error) {
+    console.error(`[Jobs] Failed to restore the previous result of job ${job.id}:`, error.message);
+    setState(job, state);
+    return;
+  }
+  job.mergedPdfPath = job.previousRun.mergedPdfPath;
+  job.groups = job.previousRun.groups;
+  recordEvent(job, {
+    type: "regenerate-failed",
+    state,
+    error: job.error,
+    timestamp: new Date().toISOString(),
+  });
+  setState(job, "done");
+}
+
+async function finishJob(job) {
+  job.finishedAt = new Date().toISOString();
+  job.rerun = null;
+  if (job.previousRun) {
+    job.previousRun = null;
+    await fs.promises
+      .rm(path.join(job.tempDir, "previous-run"), { recursive: true, force: true })
+      .catch(() => {});
+  }
+  // A finished or paused job keeps its PDF (in the temp directory) until it expires
+  if (job.state !== "done" && job.state !== "awaiting-approval") {
+    try {
+      await fs.promises.unlink(job.pdfPath);
+      console.log(`[Jobs] Deleted input PDF for job ${job.id}`);
+    } catch (unlinkError) {
+      console.warn(`[Jobs] Failed to delete input PDF for job ${job.id}:`, unlinkError.message);
+    }
+  }
+  if (job.state === "cancelled") {
+    // Nothing to download; free the disk space now but keep the record for status queries
+    await fs.promises.rm(job.tempDir, { recursive: true, force: true }).catch((error) => {
+      console.warn(`[Jobs] Cleanup error for job ${job.id}:`, error.message);
+    });
+  }
+  if (job.expiryTimer) {
+    clearTimeout(job.expiryTimer);
+  }
+  job.expiryTimer = setTimeout(() => removeJob(job.id), jobTtlMs);
+  job.expiryTimer.unref();
+  job.resolveCompletion(job);
+}
+
+function handleProgress(job, event) {
+  if (!event || !event.type) return;
+
+  if (event.type === "stage") {
+    if (JOB_STATES.includes(event.stage)) {
+      setState(job, event.stage);
+    }
+    return;
+  }
+
+  recordEvent(job, event);
+
+  if (event.type === "group-formed") {
+    job.groups.push({
+      groupId: event.groupId,
+      roomName: event.roomName || null,
+      roomType: event.roomType || null,
+      source: event.source || "ocr",
+      pageCount: event.pages ? event.pages.length : 0,
+      status: "pending",
+      step: null,
+      qa: null,
+      selectedVariant: null,
+      variantCount: 0,
+      viewCount: 0,
+      error: null,
+    });
+    touch(job);
+  } else if (event.type === "group-step") {
+    const group = job.groups.find((entry) => entry.groupId === event.groupId);
+    if (!group) return;
+    group.step = event.step;
+    touch(job);
+  } else if (
+    event.type === "group-started" ||
+    event.type === "group-finished" ||
+    event.type === "group-failed"
+  ) {
+    const group = job.groups.find((entry) => entry.groupId === event.groupId);
+    if (!group) return;
+    if (event.type === "group-started") {
+      group.status = "running";
+    } else if (event.type === "group-finished") {
+      group.status = "done";
+      group.step = null;
+      group.qa = event.qa || null;
+      group.selectedVariant = event.selectedVariant ?? null;
+      group.variantCount = event.variantCount || 0;
+      group.viewCount = event.viewCount || 0;
+    } else {
+      group.status = "failed";
+      group.step = null;
+      group.error = event.error || null;
+    }
+    touch(job);
+  }
+}
+
+function setState(job, state) {
+  if (job.state === state) return;
+  job.state = state;
+  touch(job);
+  recordEvent(job, {
+    type: "state",
+    state,
+    error: state === "failed" || state === "cancelled" ? job.error : undefined,
+    timestamp: job.updatedAt,
+  });
+}
+
+function recordEvent(job, event) {
+  const stored = { ...event, id: job.nextEventId };
+  job.nextEventId += 1;
+  job.events.push(stored);
+  if (job.events.length > maxStoredEvents) {
+    job.events.splice(0, job.events.length - maxStoredEvents);
+  }
+  job.emitter.emit("event", stored);
+}
+
+function touch(job) {
+  job.updatedAt = new Date().toISOString();
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  JOB_STATES,
+  createJob,
+  getJob,
+  waitForJob,
+  removeJob,
+  cancelJob,
+  regenerateJob,
+  approveJob,
+  serializeJob,
+  subscribeToJob,
+  isJobFinished,
+};
@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { getFixtureFootprint } = require("./geometry-check");
+const { escapeXML } = require("./text-adder");
+
+/**
+ * Renders a top-down plan of the `geometry` returned by describeSpaceFromFloorplan so
+ * designers can check how the model read the floorplan.
+ *
+ * North is up. Axes follow geometry-check.js: `from_west` runs left to right along
+ * `room.length_ft`, `from_north` top to bottom along `room.width_ft`, and a fixture's
+ * position is its north-west corner. Opening offsets are measured from the west end of
+ * the north/south walls and from the north end of the east/west walls.
+ */
+
+const COLORS = {
+  background: "#ffffff",
+  grid: "#eef1f4",
+  wall: "#1f2933",
+  door: "#d9480f",
+  window: "#1c7ed6",
+  fixtureFill: "rgba(76, 110, 245, 0.12)",
+  fixtureStroke: "#4c6ef5",
+  label: "#1f2933",
+  muted: "#7b8794",
+};
+const FONT_FAMILY = "Inter, Segoe UI, Helvetica, Arial, sans-serif";
+
+/**
+ * @param {object} geometry - Geometry with at least `room.length_ft` and `room.width_ft`.
+ * @param {object} [options]
+ * @param {string} [options.title] - Heading drawn above the plan (e.g. the room name).
+ * @param {number} [options.width=1200] - Image width in pixels; height follows the room's aspect.
+ * @returns {string} SVG markup.
+ */
+function renderLayoutSvg(geometry, options = {}) {
+  const room = geometry?.room;
+  if (!room || !(room.length_ft > 0) || !(room.width_ft > 0)) {
+    throw new Error("geometry.room.length_ft and width_ft must be positive numbers");
+  }
+
+  const width = options.width || 1200;
+  const margin = 90;
+  const titleHeight = options.title ? 60 : 0;
+  const scale = Math.min(
+    (width - margin * 2) / room.length_ft,
+    (width * 0.75 - margin * 2) / room.width_ft
+  );
+  const planWidth = room.length_ft * scale;
+  const planHeight = room.width_ft * scale;
+  const height = Math.round(planHeight + margin * 2 + titleHeight);
+  const originX = (width - planWidth) / 2;
+  const originY = margin + titleHeight;
+  const x = (feet) => round(originX + feet * scale);
+  const y = (feet) => round(originY + feet * scale);
+  const wallStroke = 6;
+  const parts = [];
+
+  // Floor grid: 1 ft squares, or 5 ft for large rooms
+  const gridStep = Math.max(room.length_ft, room.width_ft) > 40 ? 5 : 1;
+  for (let feet = gridStep; feet < room.length_ft; feet += gridStep) {
+    parts.push(line(x(feet), y(0), x(feet), y(room.width_ft), COLORS.grid, 1));
+  }
+  for (let feet = gridStep; feet < room.width_ft; feet += gridStep) {
+    parts.push(line(x(0), y(feet), x(room.length_ft), y(feet), COLORS.grid, 1));
+  }
+
+  parts.push(
+    `<rect x="${x(0)}" y="${y(0)}" width="${round(planWidth)}" height="${round(
+      planHeight
+    )}" fill="none" stroke="${COLORS.wall}" stroke-width="${wallStroke}" />`
+  );
+
+  const fixtures = Array.isArray(geometry.fixtures) ? geometry.fixtures : [];
+  fixtures.forEach((fixture) => {
+    const footprint = getFixtureFootprint(fixture);
+    const position = fixture?.position_ft;
+    if (
+      !footprint ||
+      typeof position?.from_west !== "number" ||
+      typeof position?.from_north !== "number"
+    ) {
+      return;
+    }
+    const left = x(position.from_west);
+    const top = y(position.from_north);
+    const boxWidth = round(footprint.sizeX * scale);
+    const boxHeight = round(footprint.sizeY * scale);
+    const centerX = round(left + boxWidth / 2);
+    const centerY = round(top + boxHeight / 2);
+    parts.push(
+      `<rect x="${left}" y="${top}" width="${boxWidth}" height="${boxHeight}" rx="3" fill="${COLORS.fixtureFill}" stroke="${COLORS.fixtureStroke}" stroke-width="2" />`
+    );
+
+    const facing = /\b(north|south|east|west)\b/i.exec(fixture.orientation || "");
+    if (facing) {
+      const [dx, dy] = {
+        north: [0, -1],
+        south: [0, 1],
+        east: [1, 0],
+        west: [-1, 0],
+      }[facing[1].toLowerCase()];
+      const reach = Math.min(boxWidth, boxHeight) * 0.45;
+      parts.push(arrow(centerX, centerY, centerX + dx * reach, centerY + dy * reach));
+    }
+
+    const label =
+      fixture.quantity > 1 ? `${fixture.name} ×${fixture.quantity}` : fixture.name || "Fixture";
+    // Shrink long names to fit the box width, within readable bounds
+    const fontSize = clamp(
+      Math.min(boxHeight * 0.3, (boxWidth / Math.max(label.length, 1)) * 1.7),
+      10,
+      18
+    );
+    parts.push(
+      text(centerX, round(top + Math.min(boxHeight - 4, fontSize + 4)), label, {
+        size: fontSize,
+        anchor: "middle",
+      })
+    );
+  });
+
+  const openings = Array.isArray(geometry.openings) ? geometry.openings : [];
+  openings.forEach((opening) => {
+    if (!opening || !(opening.width_ft > 0) || typeof opening.offset_ft !== "number") return;
+    const start = opening.offset_ft;
+    const end = opening.offset_ft + opening.width_ft;
+    let segment;
+    if (opening.wall === "north" || opening.wall === "south") {
+      const wallY = y(opening.wall === "north" ? 0 : room.width_ft);
+      segment = {
+        x1: x(start),
+        y1: wallY,
+        x2: x(end),
+        y2: wallY,
+        inward: opening.wall === "north" ? 1 : -1,
+        horizontal: true,
+      };
+    } else if (opening.wall === "east" || opening.wall === "west") {
+      const wallX = x(opening.wall === "west" ? 0 : room.length_ft);
+      segment = {
+        x1: wallX,
+        y1: y(start),
+        x2: wallX,
+        y2: y(end),
+        inward: opening.wall === "west" ? 1 : -1,
+        horizontal: false,
+      };
+    } else {
+      return;
+    }
+
+    // Break the wall, then draw the opening symbol
+    parts.push(line(segment.x1, segment.y1, segment.x2, segment.y2, COLORS.background, wallStroke + 2));
+    if (opening.type === "window") {
+      const offset = 3;
+      const [ox, oy] = segment.horizontal ? [0, offset] : [offset, 0];
+      parts.push(line(segment.x1 - ox, segment.y1 - oy, segment.x2 - ox, segment.y2 - oy, COLORS.window, 2));
+      parts.push(line(segment.x1 + ox, segment.y1 + oy, segment.x2 + ox, segment.y2 + oy, COLORS.window, 2));
+    } else {
+      // Door leaf hinged at the start of the opening, swinging into the room
+      const radius = round(opening.width_ft * scale);
+      const [leafX, leafY] = segment.horizontal
+        ? [segment.x1, round(segment.y1 + segment.inward * radius)]
+        : [round(segment.x1 + segment.inward * radius), segment.y1];
+      const sweep = segment.horizontal ? (segment.inward > 0 ? 0 : 1) : segment.inward > 0 ? 1 : 0;
+      parts.push(line(segment.x1, segment.y1, leafX, leafY, COLORS.door, 2));
+      parts.push(
+        `<path d="M ${leafX} ${leafY} A ${radius} ${radius} 0 0 ${sweep} ${segment.x2} ${segment.y2}" fill="none" stroke="${COLORS.door}" stroke-width="1.5" stroke-dasharray="5 4" />`
+      );
+    }
+  });
+
+  parts.push(
+    text(round(width / 2), round(originY - 30), `NORTH · ${formatFeet(room.length_ft)}`, {
+      anchor: "middle",
+      weight: 600,
+    }),
+    text(round(width / 2), round(originY + planHeight + 45), `SOUTH · ${formatFeet(room.length_ft)}`, {
+      anchor: "middle",
+      weight: 600,
+    }),
+    text(round(originX - 30), round(originY + planHeight / 2), `WEST · ${formatFeet(room.width_ft)}`, {
+      anchor: "middle",
+      weight: 600,
+      rotate: -90,
+    }),
+    text(round(originX + planWidth + 30), round(originY + planHeight / 2), `EAST · ${formatFeet(room.width_ft)}`, {
+      anchor: "middle",
+      weight: 600,
+      rotate: 90,
+    }),
+    text(24, height - 20, `Ceiling ${formatFeet(room.ceiling_ft)} · grid ${gridStep} ft`, {
+      size: 14,
+      color: COLORS.muted,
+    })
+  );
+  if (options.title) {
+    parts.push(text(24, 48, options.title, { size: 30, weight: 700 }));
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<defs><marker id="arrowhead" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${COLORS.fixtureStroke}" /></marker></defs>`,
+    `<rect width="100%" height="100%" fill="${COLORS.background}" />`,
+    ...parts,
+    "</svg>",
+  ].join("\n");
+}
+
+/**
+ * Writes the plan as SVG and PNG.
+ *
+ * @param {object} geometry
+ * @param {object} options
+ * @param {string} options.outputPath - PNG path; the SVG is written next to it.
+ * @param {string} [options.title]
+ * @param {number} [options.width]
+ * @returns {Promise<{ pngPath: string, svgPath: string }>}
+ */
+async function renderLayoutDiagram(geometry, options = {}) {
+  if (!options.outputPath) {
+    throw new Error("outputPath is required");
+  }
+  const pngPath = path.resolve(options.outputPath);
+  const svgPath = pngPath.replace(/\.png$/i, "") + ".svg";
+  const svg = renderLayoutSvg(geometry, options);
+  await fs.promises.mkdir(path.dirname(pngPath), { recursive: true });
+  await fs.promises.writeFile(svgPath, svg);
+  await sharp(Buffer.from(svg)).png().toFile(pngPath);
+  console.log(`[layout-diagram] Wrote ${pngPath} and ${path.basename(svgPath)}`);
+  return { pngPath, svgPath };
+}
+
+function line(x1, y1, x2, y2, color, strokeWidth) {
+  return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${color}" stroke-width="${strokeWidth}" />`;
+}
+
+function arrow(x1, y1, x2, y2) {
+  return `<line x1="${x1}" y1="${y1}" x2="${round(x2)}" y2="${round(
+    y2
+  )}" stroke="${COLORS.fixtureStroke}" stroke-width="2" marker-end="url(#arrowhead)" />`;
+}
+
+function text(x, y, value, { size = 18, weight = 400, anchor = "start", color = COLORS.label, rotate = 0 } = {}) {
+  const transform = rotate ? ` transform="rotate(${rotate} ${x} ${y})"` : "";
+  return `<text x="${x}" y="${y}" font-family="${FONT_FAMILY}" font-size="${round(
+    size
+  )}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}" dominant-baseline="middle"${transform}>${escapeXML(
+    String(value)
+  )}</text>`;
+}
+
+function formatFeet(value) {
+  return typeof value === "number" && Number.isFinite(value) ? `${round(value)} ft` : "? ft";
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = { renderLayoutSvg, renderLayoutDiagram };
+
+if (require.main === module) {
+  (async () => {
+    const [, , input, ...rest] = process.argv;
+    if (!input) {
+      console.error(
+        "Usage: node layout-diagram.js <description.json> [--output=layout.png] [--title=Living Room] [--width=1200]"
+      );
+      process.exit(1);
+    }
+
+    const options = {};
+    for (const arg of rest) {
+      if (!arg.startsWith("--")) continue;
+      const [flag, value = ""] = arg.slice(2).split("=");
+      if (flag === "output") {
+        options.outputPath = value;
+      } else if (flag === "title") {
+        options.title = value;
+      } else if (flag === "width") {
+        const parsed = Number(value);
+        if (Number.isInteger(parsed) && parsed > 0) {
+          options.width = parsed;
+        }
+      }
+    }
+
+    try {
+      const description = JSON.parse(await fs.promises.readFile(input, "utf8"));
+      // Accepts a saved description (prefers the corrected geometry) or a bare geometry object
+      const geometry = description.correctedGeometry || description.geometry || description;
+      const outputPath =
+        options.outputPath || input.replace(/(-description)?\.json$/i, "") + "-layout.png";
+      const { pngPath, svgPath } = await renderLayoutDiagram(geometry, { ...options, outputPath });
+      console.log(`Layout diagram written to ${pngPath} (${svgPath})`);
+    } catch (error) {
+      console.error(error.message || error);
+      process.exitCode = 1;
+    }
+  })();
+}
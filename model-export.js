@@ -0,0 +1,362 @@
+const fs = require("fs");
+const path = require("path");
+const { getFixtureFootprint } = require("./geometry-check");
+
+/**
+ * Converts the `geometry` returned by describeSpaceFromFloorplan into a blockout model
+ * (glTF 2.0 and Wavefront OBJ) that 3D artists can build on instead of redrawing the plan.
+ *
+ * The model is in metres with Y up. Room axes follow geometry-check.js: +X runs along
+ * `from_west` (`room.length_ft`), +Z along `from_north` (`room.width_ft`), so north is -Z.
+ * The floor is the room's interior; walls are built outside it so the interior keeps the
+ * described size, and each door or window is cut out of its wall. Fixtures are boxes of
+ * their `dimensions_ft` standing on the floor at `position_ft` (north-west corner).
+ */
+
+const FEET_TO_METRES = 0.3048;
+const WALL_THICKNESS_FT = 0.5;
+const FLOOR_THICKNESS_FT = 0.25;
+// The geometry has no sill height, so windows sit at a typical height below the ceiling
+const WINDOW_SILL_FT = 3;
+
+const MATERIALS = {
+  floor: { color: [0.72, 0.62, 0.5] },
+  wall: { color: [0.92, 0.91, 0.88] },
+  fixture: { color: [0.36, 0.47, 0.8] },
+};
+
+/**
+ * Builds the blockout as a list of named boxes.
+ *
+ * @param {object} geometry - Geometry with at least `room.length_ft` and `room.width_ft`.
+ * @returns {Array<{ name: string, material: string, min: number[], max: number[], extras?: object }>}
+ *   Box corners in metres.
+ */
+function buildBlockout(geometry) {
+  const room = geometry?.room;
+  if (!room || !(room.length_ft > 0) || !(room.width_ft > 0)) {
+    throw new Error("geometry.room.length_ft and width_ft must be positive numbers");
+  }
+  const length = room.length_ft;
+  const width = room.width_ft;
+  const ceiling = room.ceiling_ft > 0 ? room.ceiling_ft : 9;
+  const t = WALL_THICKNESS_FT;
+  const boxes = [];
+  const addBox = (name, material, min, max, extras) => {
+    if (min.some((value, axis) => !(max[axis] - value > 1e-6))) return;
+    boxes.push({
+      name,
+      material,
+      min: min.map(toMetres),
+      max: max.map(toMetres),
+      ...(extras ? { extras } : {}),
+    });
+  };
+
+  addBox("Floor", "floor", [0, -FLOOR_THICKNESS_FT, 0], [length, 0, width]);
+
+  // North and south walls run the full outside length so they also fill the corners
+  const walls = {
+    north: { start: -t, end: length + t, span: (a, b) => [[a, b], [-t, 0]] },
+    south: { start: -t, end: length + t, span: (a, b) => [[a, b], [width, width + t]] },
+    west: { start: 0, end: width, span: (a, b) => [[-t, 0], [a, b]] },
+    east: { start: 0, end: width, span: (a, b) => [[length, length + t], [a, b]] },
+  };
+  const openings = Array.isArray(geometry.openings) ? geometry.openings : [];
+
+  Object.entries(walls).forEach(([wall, { start, end, span }]) => {
+    const wallLength = wall === "north" || wall === "south" ? length : width;
+    const cuts = openings
+      .filter((opening) => opening?.wall === wall && opening.width_ft > 0)
+      .map((opening) => {
+        const offset = typeof opening.offset_ft === "number" ? opening.offset_ft : 0;
+        const from = clamp(offset, 0, wallLength);
+        const to = clamp(offset + opening.width_ft, 0, wallLength);
+        const height = clamp(opening.height_ft > 0 ? opening.height_ft : 7, 0, ceiling);
+        const bottom = opening.type === "window" ? Math.max(0, Math.min(WINDOW_SILL_FT, ceiling - height)) : 0;
+        return { from, to, bottom, top: bottom + height };
+      })
+      .filter((cut) => cut.to > cut.from);
+
+    // Split the wall at every opening edge and keep the solid height ranges of each piece
+    const breaks = [...new Set([start, end, ...cuts.flatMap((cut) => [cut.from, cut.to])])].sort(
+      (a, b) => a - b
+    );
+    let segment = 0;
+    for (let index = 0; index < breaks.length - 1; index += 1) {
+      const a = breaks[index];
+      const b = breaks[index + 1];
+      const holes = cuts
+        .filter((cut) => cut.from <= a && cut.to >= b)
+        .map((cut) => [cut.bottom, cut.top])
+        .sort((first, second) => first[0] - second[0]);
+      let solidFrom = 0;
+      const solids = [];
+      holes.forEach(([bottom, top]) => {
+        if (bottom > solidFrom) solids.push([solidFrom, bottom]);
+        solidFrom = Math.max(solidFrom, top);
+      });
+      if (solidFrom < ceiling) solids.push([solidFrom, ceiling]);
+
+      const [[x0, x1], [z0, z1]] = span(a, b);
+      solids.forEach(([y0, y1]) => {
+        segment += 1;
+        addBox(`Wall ${capitalize(wall)} ${segment}`, "wall", [x0, y0, z0], [x1, y1, z1]);
+      });
+    }
+  });
+
+  (Array.isArray(geometry.fixtures) ? geometry.fixtures : []).forEach((fixture, index) => {
+    const footprint = getFixtureFootprint(fixture);
+    const position = fixture?.position_ft;
+    if (!footprint || typeof position?.from_west !== "number" || typeof position?.from_north !== "number") {
+      return;
+    }
+    const height = fixture.dimensions_ft[2] > 0 ? fixture.dimensions_ft[2] : 1;
+    const name = fixture.name || `Fixture ${index + 1}`;
+    addBox(
+      name,
+      "fixture",
+      [position.from_west, 0, position.from_north],
+      [position.from_west + footprint.sizeX, height, position.from_north + footprint.sizeY],
+      {
+        quantity: fixture.quantity ?? 1,
+        orientation: fixture.orientation || null,
+        dimensions_ft: fixture.dimensions_ft,
+      }
+    );
+  });
+
+  return boxes;
+}
+
+/**
+ * @returns {object} A glTF 2.0 document with the mesh data embedded as a data URI.
+ */
+function buildGltf(geometry, options = {}) {
+  const boxes = buildBlockout(geometry);
+  const materialNames = Object.keys(MATERIALS);
+  const chunks = [];
+  const bufferViews = [];
+  const accessors = [];
+  let byteOffset = 0;
+  const addView = (typedArray, target) => {
+    const bytes = Buffer.from(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+    chunks.push(bytes);
+    bufferViews.push({ buffer: 0, byteOffset, byteLength: bytes.length, target });
+    byteOffset += bytes.length;
+    return bufferViews.length - 1;
+  };
+
+  const meshes = boxes.map((box) => {
+    const { positions, normals, indices } = boxMesh(box.min, box.max);
+    accessors.push({
+      bufferView: addView(new Float32Array(positions), 34962),
+      componentType: 5126,
+      count: positions.length / 3,
+      type: "VEC3",
+      min: box.min,
+      max: box.max,
+    });
+    accessors.push({
+      bufferView: addView(new Float32Array(normals), 34962),
+      componentType: 5126,
+      count: normals.length / 3,
+      type: "VEC3",
+    });
+    accessors.push({
+      bufferView: addView(new Uint16Array(indices), 34963),
+      componentType: 5123,
+      count: indices.length,
+      type: "SCALAR",
+    });
+    const base = accessors.length - 3;
+    return {
+      name: box.name,
+      primitives: [
+        {
+          attributes: { POSITION: base, NORMAL: base + 1 },
+          indices: base + 2,
+          material: materialNames.indexOf(box.material),
+        },
+      ],
+    };
+  });
+
+  const buffer = Buffer.concat(chunks);
+  return {
+    asset: { version: "2.0", generator: "stagify model-export" },
+    scene: 0,
+    scenes: [{ name: options.title || "Room", nodes: boxes.map((_, index) => index) }],
+    nodes: boxes.map((box, index) => ({
+      name: box.name,
+      mesh: index,
+      ...(box.extras ? { extras: box.extras } : {}),
+    })),
+    meshes,
+    materials: materialNames.map((name) => ({
+      name,
+      pbrMetallicRoughness: {
+        baseColorFactor: [...MATERIALS[name].color, 1],
+        metallicFactor: 0,
+        roughnessFactor: 0.9,
+      },
+    })),
+    accessors,
+    bufferViews,
+    buffers: [
+      {
+        byteLength: buffer.length,
+        uri: `data:application/octet-stream;base64,${buffer.toString("base64")}`,
+      },
+    ],
+  };
+}
+
+/**
+ * @param {object} geometry
+ * @param {object} [options]
+ * @param {string} [options.mtlFileName] - Material library referenced by the OBJ.
+ * @returns {{ obj: string, mtl: string }}
+ */
+function buildObj(geometry, options = {}) {
+  const boxes = buildBlockout(geometry);
+  const lines = ["# Stagify room blockout (metres, Y up, north is -Z)"];
+  if (options.mtlFileName) {
+    lines.push(`mtllib ${options.mtlFileName}`);
+  }
+  let vertexCount = 0;
+  let normalCount = 0;
+  boxes.forEach((box) => {
+    const { positions, normals } = boxMesh(box.min, box.max);
+    lines.push(`o ${box.name.replace(/\s+/g, "_")}`, `usemtl ${box.material}`);
+    for (let index = 0; index < positions.length; index += 3) {
+      lines.push(`v ${positions.slice(index, index + 3).map(formatNumber).join(" ")}`);
+    }
+    // One normal per face; each face is four consecutive vertices
+    for (let face = 0; face < 6; face += 1) {
+      lines.push(`vn ${normals.slice(face * 12, face * 12 + 3).map(formatNumber).join(" ")}`);
+    }
+    for (let face = 0; face < 6; face += 1) {
+      const n = normalCount + face + 1;
+      const v = vertexCount + face * 4 + 1;
+      lines.push(`f ${v}//${n} ${v + 1}//${n} ${v + 2}//${n} ${v + 3}//${n}`);
+    }
+    vertexCount += positions.length / 3;
+    normalCount += 6;
+  });
+
+  const mtl = Object.entries(MATERIALS)
+    .map(([name, { color }]) => `newmtl ${name}\nKd ${color.join(" ")}\nd 1`)
+    .join("\n\n");
+  return { obj: `${lines.join("\n")}\n`, mtl: `${mtl}\n` };
+}
+
+/**
+ * Writes `<base>.gltf`, `<base>.obj` and `<base>.mtl`.
+ *
+ * @param {object} geometry
+ * @param {object} options
+ * @param {string} options.outputBase - Output path without extension.
+ * @param {string} [options.title] - Scene name.
+ * @returns {Promise<{ gltfPath: string, objPath: string, mtlPath: string }>}
+ */
+async function exportRoomModel(geometry, options = {}) {
+  if (!options.outputBase) {
+    throw new Error("exportRoomModel requires an outputBase path");
+  }
+  const gltfPath = `${options.outputBase}.gltf`;
+  const objPath = `${options.outputBase}.obj`;
+  const mtlPath = `${options.outputBase}.mtl`;
+  const gltf = buildGltf(geometry, options);
+  const { obj, mtl } = buildObj(geometry, { mtlFileName: path.basename(mtlPath) });
+
+  await fs.promises.mkdir(path.dirname(gltfPath), { recursive: true });
+  await fs.promises.writeFile(gltfPath, JSON.stringify(gltf));
+  await fs.promises.writeFile(objPath, obj);
+  await fs.promises.writeFile(mtlPath, mtl);
+  console.log(
+    `[model-export] Wrote ${gltf.nodes.length} object(s) to ${gltfPath} and ${path.basename(objPath)}`
+  );
+  return { gltfPath, objPath, mtlPath };
+}
+
+// Axis-aligned box as six quads (four vertices each, counter-clockwise from outside)
+function boxMesh(min, max) {
+  const [x0, y0, z0] = min;
+  const [x1, y1, z1] = max;
+  const faces = [
+    { normal: [1, 0, 0], corners: [[x1, y0, z1], [x1, y0, z0], [x1, y1, z0], [x1, y1, z1]] },
+    { normal: [-1, 0, 0], corners: [[x0, y0, z0], [x0, y0, z1], [x0, y1, z1], [x0, y1, z0]] },
+    { normal: [0, 1, 0], corners: [[x0, y1, z1], [x1, y1, z1], [x1, y1, z0], [x0, y1, z0]] },
+    { normal: [0, -1, 0], corners: [[x0, y0, z0], [x1, y0, z0], [x1, y0, z1], [x0, y0, z1]] },
+    { normal: [0, 0, 1], corners: [[x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1]] },
+    { normal: [0, 0, -1], corners: [[x1, y0, z0], [x0, y0, z0], [x0, y1, z0], [x1, y1, z0]] },
+  ];
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  faces.forEach(({ normal, corners }, face) => {
+    corners.forEach((corner) => {
+      positions.push(...corner);
+      normals.push(...normal);
+    });
+    const v = face * 4;
+    indices.push(v, v + 1, v + 2, v, v + 2, v + 3);
+  });
+  return { positions, normals, indices };
+}
+
+function toMetres(feet) {
+  return Math.round(feet * FEET_TO_METRES * 10000) / 10000;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 10000) / 10000);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+module.exports = { buildBlockout, buildGltf, buildObj, exportRoomModel };
+
+if (require.main === module) {
+  (async () => {
+    const [, , input, ...rest] = process.argv;
+    if (!input) {
+      console.error(
+        "Usage: node model-export.js <description.json> [--output=path/without-extension] [--title=Living Room]"
+      );
+      process.exit(1);
+    }
+
+    const options = {};
+    for (const arg of rest) {
+      if (!arg.startsWith("--")) continue;
+      const [flag, value = ""] = arg.slice(2).split("=");
+      if (flag === "output") {
+        options.outputBase = value.replace(/\.(gltf|obj)$/i, "");
+      } else if (flag === "title") {
+        options.title = value;
+      }
+    }
+
+    try {
+      const description = JSON.parse(await fs.promises.readFile(input, "utf8"));
+      // Accepts a saved description (prefers the corrected geometry) or a bare geometry object
+      const geometry = description.correctedGeometry || description.geometry || description;
+      const outputBase =
+        options.outputBase || input.replace(/(-description)?\.json$/i, "") + "-model";
+      const { gltfPath, objPath } = await exportRoomModel(geometry, { ...options, outputBase });
+      console.log(`Blockout model written to ${gltfPath} and ${objPath}`);
+    } catch (error) {
+      console.error(error.message || error);
+      process.exitCode = 1;
+    }
+  })();
+}
@@ -0,0 +1,162 @@
+const os = require("os");
+const Tesseract = require("tesseract.js");
+const { createAbortError, throwIfAborted, raceWithSignal } = require("./abort");
+
+/**
+ * Pool of Tesseract workers shared by the OCR consumers of a run (heading detection in
+ * identify-room.js, the stray text check in render-qa.js).
+ *
+ * `Tesseract.recognize` starts a worker and loads the language data for every image; a
+ * pool loads the language once per worker and keeps the workers for the whole run. Workers
+ * are started on demand, up to `size`, so a run whose headings all come from the PDF text
+ * layer never starts one. Jobs beyond `size` wait for the next idle worker.
+ */
+
+const DEFAULT_POOL_SIZE = parsePositiveInt(
+  process.env.OCR_POOL_SIZE,
+  Math.max(1, Math.min(4, os.cpus().length))
+);
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.size] - Maximum number of workers (default: OCR_POOL_SIZE, else
+ *   the CPU count up to 4).
+ * @param {string} [options.language="eng"] - Tesseract language code loaded into every worker.
+ * @param {object} [options.workerOptions] - Options passed to Tesseract.createWorker
+ *   (e.g. `langPath`, `cachePath`).
+ */
+function createOcrPool(options = {}) {
+  const size = parsePositiveInt(options.size, DEFAULT_POOL_SIZE);
+  const language = options.language || "eng";
+  const workerOptions = options.workerOptions || {};
+  const idle = [];
+  const waiting = [];
+  const workers = [];
+  let starting = 0;
+  let terminated = false;
+  let jobCount = 0;
+
+  async function startWorker() {
+    starting += 1;
+    try {
+      console.log(
+        `[ocr-pool] Starting worker ${workers.length + starting}/${size} (language=${language})`
+      );
+      const worker = await Tesseract.createWorker(language, undefined, workerOptions);
+      if (terminated) {
+        await worker.terminate();
+        return null;
+      }
+      workers.push(worker);
+      return worker;
+    } finally {
+      starting -= 1;
+    }
+  }
+
+  async function acquire(signal) {
+    throwIfAborted(signal);
+    if (idle.length > 0) {
+      return idle.pop();
+    }
+    if (workers.length + starting < size) {
+      const worker = await startWorker();
+      if (!worker) {
+        throw new Error("OCR pool has been terminated");
+      }
+      return worker;
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, signal, onAbort: null };
+      if (signal) {
+        entry.onAbort = () => {
+          waiting.splice(waiting.indexOf(entry), 1);
+          reject(createAbortError(signal));
+        };
+        signal.addEventListener("abort", entry.onAbort, { once: true });
+      }
+      waiting.push(entry);
+    });
+  }
+
+  function release(worker) {
+    if (terminated) return;
+    const next = waiting.shift();
+    if (next) {
+      if (next.onAbort) next.signal.removeEventListener("abort", next.onAbort);
+      next.resolve(worker);
+    } else {
+      idle.push(worker);
+    }
+  }
+
+  /**
+   * Recognizes `image` on the next idle worker. An abort releases the caller at once; the
+   * worker finishes the image before it takes the next job.
+   *
+   * @param {Buffer|string} image - Image bytes or path, as accepted by Tesseract.
+   * @param {object} [recognizeOptions]
+   * @param {AbortSignal} [recognizeOptions.signal]
+   * @returns {Promise<object>} The Tesseract result (`data.text`, `data.lines`, `data.words`, ...).
+   */
+  async function recognize(image, { signal } = {}) {
+    if (terminated) {
+      throw new Error("OCR pool has been terminated");
+    }
+    const worker = await acquire(signal);
+    if (terminated) {
+      throw new Error("OCR pool has been terminated");
+    }
+    jobCount += 1;
+    const job = worker.recognize(image);
+    job.then(
+      () => release(worker),
+      () => release(worker)
+    );
+    return raceWithSignal(job, signal);
+  }
+
+  async function terminate() {
+    if (terminated) return;
+    terminated = true;
+    waiting.splice(0).forEach((entry) => {
+      if (entry.onAbort) entry.signal.removeEventListener("abort", entry.onAbort);
+      entry.reject(new Error("OCR pool has been terminated"));
+    });
+    idle.length = 0;
+    await Promise.all(workers.map((worker) => worker.terminate().catch(() => {})));
+    console.log(
+      `[ocr-pool] Terminated ${workers.length} worker(s) after ${jobCount} OCR job(s)`
+    );
+    workers.length = 0;
+  }
+
+  return {
+    size,
+    language,
+    recognize,
+    terminate,
+  };
+}
+
+/**
+ * Runs OCR on `pool` when it is set up for `language`, otherwise with a one-off
+ * Tesseract.recognize call.
+ */
+function recognizeText(image, { pool, language = "eng", tesseractOptions = {}, signal } = {}) {
+  if (pool && pool.language === language) {
+    return pool.recognize(image, { signal });
+  }
+  return raceWithSignal(Tesseract.recognize(image, language, tesseractOptions), signal);
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  DEFAULT_POOL_SIZE,
+  createOcrPool,
+  recognizeText,
+};
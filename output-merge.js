@@ -16,17 +16,22 @@ async function outputMerge(options = {}) {
     throw new Error(`Output directory does not exist: ${outputDir}`);
   }
 
-  // Find all image files in the output directory
-  const files = await fs.promises.readdir(outputDir);
-  const imageExtensions = [".png", ".jpg", ".jpeg", ".gif", ".bmp", ".webp"];
-  
-  const imageFiles = files
-    .filter((file) => {
-      const ext = path.extname(file).toLowerCase();
-      return imageExtensions.includes(ext);
-    })
-    .map((file) => path.join(outputDir, file))
-    .sort(); // Sort for consistent ordering
+  // Use the caller's page order when given, otherwise every image in the output directory
+  let imageFiles;
+  if (Array.isArray(options.imageFiles)) {
+    imageFiles = options.imageFiles.map((file) => path.resolve(outputDir, file));
+  } else {
+    const files = await fs.promises.readdir(outputDir);
+    const imageExtensions = [".png", ".jpg", ".jpeg", ".gif", ".bmp", ".webp"];
+
+    imageFiles = files
+      .filter((file) => {
+        const ext = path.extname(file).toLowerCase();
+        return imageExtensions.includes(ext);
+      })
+      .map((file) => path.join(outputDir, file))
+      .sort(); // Sort for consistent ordering
+  }
 
   if (imageFiles.length === 0) {
     throw new Error(`No image files found in output directory: ${outputDir}`);
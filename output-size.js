@@ -0,0 +1,158 @@
+const sharp = require("sharp");
+
+/**
+ * Output dimensions for renders. Image models pick their own resolution, so the requested
+ * size is passed to the provider as a hint and then enforced on the returned image:
+ * - "cover" (default) crops to the target aspect ratio, keeping the centre of the frame
+ * - "contain" keeps the whole image and pads it over a blurred, enlarged copy of itself,
+ *   so the padding never reads as a solid border
+ * The result is then resized (up or down) to the exact requested resolution.
+ */
+
+const FITS = ["cover", "contain"];
+
+/**
+ * Normalises `size` ("1920x1080" or { width, height }) and/or `aspectRatio` ("16:9",
+ * "1.5" or a number). With only an aspect ratio the image keeps its native resolution
+ * and is just cropped or padded to that shape.
+ *
+ * @returns {{ width: number|null, height: number|null, ratio: number, aspectRatio: string }|null}
+ *   null when neither is set.
+ */
+function resolveOutputSize({ size, aspectRatio } = {}) {
+  const dimensions = parseSize(size);
+  const ratio = parseAspectRatio(aspectRatio);
+  if (!dimensions && !ratio) {
+    return null;
+  }
+  if (dimensions && ratio) {
+    const sizeRatio = dimensions.width / dimensions.height;
+    if (Math.abs(sizeRatio - ratio.value) / ratio.value > 0.01) {
+      throw new Error(
+        `Output size ${dimensions.width}x${dimensions.height} does not match aspect ratio ${ratio.label}`
+      );
+    }
+  }
+  return {
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null,
+    ratio: dimensions ? dimensions.width / dimensions.height : ratio.value,
+    aspectRatio: dimensions ? formatRatio(dimensions.width, dimensions.height) : ratio.label,
+  };
+}
+
+function parseSize(size) {
+  if (size === undefined || size === null || size === "") {
+    return null;
+  }
+  let width;
+  let height;
+  if (typeof size === "object") {
+    ({ width, height } = size);
+  } else {
+    const match = String(size).trim().match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+    if (!match) {
+      throw new Error(`Invalid output size "${size}". Expected WIDTHxHEIGHT, e.g. 1920x1080`);
+    }
+    width = Number(match[1]);
+    height = Number(match[2]);
+  }
+  const inRange = (value) => Number.isInteger(value) && value >= 16 && value <= 8192;
+  if (!inRange(width) || !inRange(height)) {
+    throw new Error(`Invalid output size ${width}x${height}. Width and height must be 16-8192 px`);
+  }
+  return { width, height };
+}
+
+function parseAspectRatio(aspectRatio) {
+  if (aspectRatio === undefined || aspectRatio === null || aspectRatio === "") {
+    return null;
+  }
+  const text = String(aspectRatio).trim();
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)$/);
+  const value = match ? Number(match[1]) / Number(match[2]) : Number(text);
+  if (!Number.isFinite(value) || value <= 0 || value > 10 || value < 0.1) {
+    throw new Error(`Invalid aspect ratio "${aspectRatio}". Expected e.g. 16:9 or 1.5`);
+  }
+  return { value, label: match ? `${match[1]}:${match[2]}` : text };
+}
+
+function formatRatio(width, height) {
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const divisor = gcd(width, height);
+  return `${width / divisor}:${height / divisor}`;
+}
+
+/**
+ * Crops or pads `buffer` to the target shape and resizes it to the exact size.
+ *
+ * @param {Buffer} buffer - Image returned by the provider.
+ * @param {object} outputSize - From resolveOutputSize.
+ * @param {object} [options]
+ * @param {string} [options.fit="cover"] - "cover" or "contain".
+ * @param {string} [options.background] - Solid padding colour for "contain" instead of the blurred fill.
+ * @returns {Promise<Buffer>} PNG bytes.
+ */
+async function fitImage(buffer, outputSize, options = {}) {
+  const fit = options.fit || "cover";
+  assertFit(fit);
+  const metadata = await sharp(buffer).metadata();
+  if (!metadata.width || !metadata.height) {
+    throw new Error("Unable to read render dimensions");
+  }
+
+  // Without an explicit size, keep the native resolution along the constrained side
+  let { width, height } = outputSize;
+  if (!width || !height) {
+    const nativeRatio = metadata.width / metadata.height;
+    // Cover crops the excess side; contain pads the short one
+    const keepWidth = fit === "cover" ? outputSize.ratio > nativeRatio : outputSize.ratio < nativeRatio;
+    width = keepWidth ? metadata.width : Math.round(metadata.height * outputSize.ratio);
+    height = keepWidth ? Math.round(metadata.width / outputSize.ratio) : metadata.height;
+  }
+  if (metadata.width === width && metadata.height === height) {
+    return sharp(buffer).png().toBuffer();
+  }
+  console.log(
+    `[output-size] Fitting ${metadata.width}x${metadata.height} render to ${width}x${height} (${fit})`
+  );
+
+  if (fit === "cover") {
+    return sharp(buffer).resize(width, height, { fit: "cover", position: "centre" }).png().toBuffer();
+  }
+
+  const foreground = await sharp(buffer)
+    .resize(width, height, { fit: "inside" })
+    .png()
+    .toBuffer();
+  const backdrop = options.background
+    ? sharp({ create: { width, height, channels: 3, background: options.background } })
+    : sharp(buffer).resize(width, height, { fit: "cover" }).blur(40).modulate({ brightness: 0.9 });
+  return backdrop
+    .composite([{ input: foreground, gravity: "centre" }])
+    .png()
+    .toBuffer();
+}
+
+function assertFit(fit) {
+  if (fit !== undefined && !FITS.includes(fit)) {
+    throw new Error(`Unknown fit "${fit}". Expected one of: ${FITS.join(", ")}`);
+  }
+}
+
+/**
+ * Prompt line asking for the requested framing, for providers that cannot be told the
+ * output size directly.
+ */
+function describeFraming(outputSize) {
+  if (!outputSize) {
+    return "";
+  }
+  const orientation =
+    outputSize.ratio > 1.05 ? "landscape" : outputSize.ratio < 0.95 ? "portrait" : "square";
+  return `Compose the image as a ${outputSize.aspectRatio} ${orientation} frame${
+    outputSize.width ? ` (${outputSize.width}x${outputSize.height} px)` : ""
+  }, filling the whole frame with the scene.`;
+}
+
+module.exports = { resolveOutputSize, assertFit, fitImage, describeFraming };
@@ -2,6 +2,16 @@ const fs = require("fs");
 const path = require("path");
 const { describeSpaceFromFloorplan } = require("./describe");
 const { generateRoomImage } = require("./generate-room");
+const { checkGeometry, summarizeIssues } = require("./geometry-check");
+const { renderLayoutDiagram } = require("./layout-diagram");
+const { exportRoomModel } = require("./model-export");
+const { assessRender, buildQaFeedback } = require("./render-qa");
+const { getCameraInstruction, extractBoardPalette, scoreVariant } = require("./render-variants");
+const { VIEWPOINTS, resolveViewpoints } = require("./render-views");
+const { resolveImageProvider } = require("./providers");
+const { isAbortError } = require("./abort");
+
+const DEFAULT_MAX_REGENERATIONS = 0;
 
 async function describePageAndGenerate(imagePaths, options = {}) {
   const inputPaths = Array.isArray(imagePaths) ? imagePaths : [imagePaths];
@@ -14,24 +24,70 @@ async function describePageAndGenerate(imagePaths, options = {}) {
     ? path.resolve(options.outputDir)
     : path.resolve(process.cwd(), "generated");
   await fs.promises.mkdir(outputDir, { recursive: true });
+  // Outputs are named after the first page of the group, e.g. page-06-render.png
+  const outputBaseName = `${path.parse(resolvedImages[0]).name}${
+    resolvedImages.length > 1 ? "-group" : ""
+  }`;
+  const descriptionPath = path.join(outputDir, `${outputBaseName}-description.json`);
 
   console.log(
     "describePageAndGenerate processing image(s):",
     resolvedImages.join(", ")
   );
 
-  console.log(
-    "describePageAndGenerate invoking describeSpaceFromFloorplan with images:",
-    resolvedImages
-  );
-  const descriptionData = await describeSpaceFromFloorplan(resolvedImages, {
-    ...(options.describe || {}),
-    roomContext: options.roomContext,
-  });
+  const onProgress = typeof options.onProgress === "function" ? options.onProgress : () => {};
+  // Transient API failures retried by the request scheduler, per stage
+  const retries = { describe: 0, generate: 0 };
+  const recordRetry = (stage, info) => {
+    retries[stage] += 1;
+    if (typeof options.onRetry === "function") {
+      options.onRetry({ ...info, stage });
+    }
+  };
+
+  let descriptionData = options.description || null;
+  if (descriptionData) {
+    console.log("describePageAndGenerate reusing supplied description");
+  } else {
+    onProgress({ type: "group-step", step: "describing" });
+    console.log(
+      "describePageAndGenerate invoking describeSpaceFromFloorplan with images:",
+      resolvedImages
+    );
+    descriptionData = await describeSpaceFromFloorplan(resolvedImages, {
+      ...(options.describe || {}),
+      provider: options.describeProvider,
+      providerOptions: options.describeProviderOptions || options.describe?.providerOptions,
+      roomContext: options.roomContext,
+      signal: options.signal,
+      cache: options.cache,
+      retry: options.retry,
+      onRetry: (info) => recordRetry("describe", info),
+    });
+  }
   console.log(
     "describePageAndGenerate received description keys:",
     Object.keys(descriptionData || {})
   );
+  // Physically impossible geometry is clamped before it reaches the render prompt
+  const geometryCheck = checkGeometry(descriptionData.geometry, {
+    fix: options.fixGeometry !== false,
+  });
+  if (geometryCheck.issues.length > 0) {
+    console.warn(
+      `describePageAndGenerate geometry check: ${summarizeIssues(geometryCheck.issues)}`,
+      geometryCheck.issues.map((issue) => `${issue.severity}: ${issue.message}`)
+    );
+  }
+  descriptionData.geometryCheck = {
+    issues: geometryCheck.issues,
+    changed: geometryCheck.changed,
+  };
+  descriptionData.correctedGeometry = geometryCheck.changed ? geometryCheck.geometry : undefined;
+  await fs.promises.writeFile(descriptionPath, JSON.stringify(descriptionData, null, 2));
+  if (typeof options.onDescribed === "function") {
+    await options.onDescribed({ description: descriptionData, descriptionPath });
+  }
   console.log(
     "GPT narrative preview:",
     descriptionData.narrative ? descriptionData.narrative.slice(0, 400) : ""
@@ -43,6 +99,37 @@ async function describePageAndGenerate(imagePaths, options = {}) {
     );
   }
 
+  // Top-down plan of the (corrected) geometry, saved next to the render
+  let layoutPath = null;
+  const layoutGeometry = descriptionData.correctedGeometry || descriptionData.geometry;
+  if (options.layoutDiagram !== false && layoutGeometry) {
+    try {
+      ({ pngPath: layoutPath } = await renderLayoutDiagram(layoutGeometry, {
+        outputPath: path.join(outputDir, `${outputBaseName}-layout.png`),
+        title: options.roomContext?.roomName || undefined,
+      }));
+    } catch (error) {
+      console.warn("describePageAndGenerate could not draw the layout diagram:", error.message);
+    }
+  }
+  // Blockout model (glTF + OBJ) of the same geometry for the 3D team
+  let modelPaths = null;
+  if (options.modelExport !== false && layoutGeometry) {
+    try {
+      const { gltfPath, objPath } = await exportRoomModel(layoutGeometry, {
+        outputBase: path.join(outputDir, `${outputBaseName}-model`),
+        title: options.roomContext?.roomName || undefined,
+      });
+      modelPaths = { gltf: gltfPath, obj: objPath };
+    } catch (error) {
+      console.warn("describePageAndGenerate could not export the blockout model:", error.message);
+    }
+  }
+  const layoutReference =
+    options.layoutAsReference && layoutPath
+      ? { mimeType: "image/png", data: (await fs.promises.readFile(layoutPath)).toString("base64") }
+      : null;
+
   const referenceImages = await Promise.all(
     resolvedImages.map(async (resolved) => {
       const ext = path.extname(resolved).replace(".", "").toLowerCase() || "png";
@@ -65,6 +152,9 @@ async function describePageAndGenerate(imagePaths, options = {}) {
     options.roomContext && options.roomContext.roomName
       ? `Room heading: ${options.roomContext.roomName}`
       : "",
+    options.roomContext?.roomTypeLabel
+      ? `Room type: ${options.roomContext.roomTypeLabel}`
+      : "",
     options.roomContext?.headings && options.roomContext.headings.length > 1
       ? [
           "This render must integrate every board page in this set. Summary of page headings:",
@@ -73,7 +163,9 @@ async function describePageAndGenerate(imagePaths, options = {}) {
               heading?.rawText ||
               heading?.roomName ||
               `Unlabeled Page ${index + 1}`;
-            return `- ${label}`;
+            return heading?.facet
+              ? `- ${label} (${heading.facet.replace(/-/g, " ")})`
+              : `- ${label}`;
           }),
           "Treat each heading above as requirements for the same room—merge them into one cohesive scene."
         ].join("\n")
@@ -81,7 +173,9 @@ async function describePageAndGenerate(imagePaths, options = {}) {
     descriptionData.narrative || descriptionData.raw || "",
     "",
     "STRICT GEOMETRY SPECIFICATION (do not deviate):",
-    descriptionData.geometryText ||
+    (descriptionData.correctedGeometry &&
+      JSON.stringify(descriptionData.correctedGeometry, null, 2)) ||
+      descriptionData.geometryText ||
       (descriptionData.geometry
         ? JSON.stringify(descriptionData.geometry, null, 2)
         : "No geometry JSON provided."),
@@ -116,28 +210,190 @@ async function describePageAndGenerate(imagePaths, options = {}) {
           .map((ref) => path.basename(ref.path))
           .join(", ")}`
       : "",
+    layoutReference
+      ? "The final reference image is a top-down layout diagram drawn from the geometry specification (north is up, arrows show which way each piece faces). Use it only to place the room's openings and furniture; never reproduce the diagram itself."
+      : "",
   ].join("\n");
   console.log(
     "describePageAndGenerate augmented prompt preview:",
     augmentedPrompt.slice(0, 400)
   );
 
-  const { outputPath } = await generateRoomImage(augmentedPrompt, {
-    outputPath: path.join(
-      outputDir,
-      `${path.parse(resolvedImages[0]).name}${
-        referenceImages.length > 1 ? "-group" : ""
-      }-render.png`
-    ),
-    keyFile: options.geminiKeyFile || path.resolve("key.txt"),
-    referenceImages: referenceImages.map((ref) => ({
-      mimeType: ref.mimeType,
-      data: ref.data,
-    })),
-  });
+  const outputPath = path.join(outputDir, `${outputBaseName}-render.png`);
+  const qaEnabled = options.renderQa !== false;
+  const qaOptions = {
+    ...(resolveImageProvider(options.imageProvider).drawsText ? { ocr: false } : {}),
+    ...(options.renderQa && typeof options.renderQa === "object" ? options.renderQa : {}),
+  };
+  const maxRegenerations = qaEnabled
+    ? Number.isInteger(options.maxRegenerations)
+      ? Math.max(0, options.maxRegenerations)
+      : DEFAULT_MAX_REGENERATIONS
+    : 0;
+  const variationCount =
+    Number.isInteger(options.variations) && options.variations > 1 ? options.variations : 1;
+
+  // Each attempt is checked for text, borders and board panels; failures are regenerated
+  // with the problems spelled out, and the highest-scoring attempt is kept
+  const renderVariant = async (variant, viewpoint = null) => {
+    const variantPrompt = [
+      augmentedPrompt,
+      viewpoint ? VIEWPOINTS[viewpoint].instruction : getCameraInstruction(variant),
+    ]
+      .filter(Boolean)
+      .join("\n");
+    const stepDetails = {
+      ...(variationCount > 1 && !viewpoint ? { variant } : {}),
+      ...(viewpoint ? { viewpoint } : {}),
+    };
+    const qaHistory = [];
+    let best = null;
+    for (let attempt = 1; attempt <= maxRegenerations + 1; attempt += 1) {
+      onProgress({ type: "group-step", step: "generating", attempt, ...stepDetails });
+      const { imageBuffer } = await generateRoomImage(
+        `${variantPrompt}${buildQaFeedback(qaHistory[qaHistory.length - 1]?.assessment)}`,
+        {
+          writeFile: false,
+          attempt,
+          variant,
+          keyFile: options.geminiKeyFile || path.resolve("key.txt"),
+          provider: options.imageProvider,
+          providerOptions: options.imageProviderOptions,
+          roomName: options.roomContext?.roomName,
+          size: options.renderSize,
+          aspectRatio: options.renderAspectRatio,
+          fit: options.renderFit,
+          referenceImages: [
+            ...referenceImages.map((ref) => ({
+              mimeType: ref.mimeType,
+              data: ref.data,
+            })),
+            ...(layoutReference ? [layoutReference] : []),
+          ],
+          signal: options.signal,
+          cache: options.cache,
+          retry: options.retry,
+          onRetry: (info) => recordRetry("generate", info),
+        }
+      );
+      if (!qaEnabled) {
+        return { imageBuffer, qa: null };
+      }
+
+      onProgress({ type: "group-step", step: "checking", attempt, ...stepDetails });
+      let assessment = null;
+      try {
+        assessment = await assessRender(imageBuffer, {
+          ocrPool: options.ocrPool,
+          ...qaOptions,
+          signal: options.signal,
+        });
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        console.warn("describePageAndGenerate render QA failed; keeping the render:", error.message);
+      }
+      qaHistory.push({ attempt, assessment });
+      if (!best || (assessment && assessment.score > (best.assessment?.score ?? -1))) {
+        best = { imageBuffer, assessment, attempt };
+      }
+      if (!assessment || assessment.passed) {
+        break;
+      }
+      if (attempt <= maxRegenerations) {
+        console.warn(
+          `describePageAndGenerate render attempt ${attempt} failed QA (${assessment.issues.join(
+            "; "
+          )}); regenerating`
+        );
+      }
+    }
+
+    const qa = {
+      passed: best.assessment ? best.assessment.passed : null,
+      score: best.assessment ? best.assessment.score : null,
+      issues: best.assessment ? best.assessment.issues : [],
+      attempts: qaHistory.length,
+      keptAttempt: best.attempt,
+      history: qaHistory.map(({ attempt, assessment }) => ({
+        attempt,
+        passed: assessment ? assessment.passed : null,
+        score: assessment ? assessment.score : null,
+        issues: assessment ? assessment.issues : [],
+      })),
+    };
+    if (qa.passed === false) {
+      console.warn(
+        `describePageAndGenerate kept attempt ${qa.keptAttempt} of ${qa.attempts} (score ${qa.score}) despite failing QA`
+      );
+    }
+    return { imageBuffer: best.imageBuffer, qa };
+  };
+
+  let qa = null;
+  let variants = null;
+  let selectedVariant = null;
+  if (variationCount === 1) {
+    const rendered = await renderVariant(1);
+    await fs.promises.writeFile(outputPath, rendered.imageBuffer);
+    qa = rendered.qa;
+  } else {
+    // Variants are rendered one after another; the provider scheduler limits parallelism
+    // across groups already, and OCR QA per variant is memory-hungry
+    let palette = null;
+    try {
+      palette = await extractBoardPalette(resolvedImages[0]);
+    } catch (error) {
+      console.warn("describePageAndGenerate could not read the board palette:", error.message);
+    }
+    variants = [];
+    for (let variant = 1; variant <= variationCount; variant += 1) {
+      const rendered = await renderVariant(variant);
+      const variantPath = path.join(outputDir, `${outputBaseName}-render-v${variant}.png`);
+      await fs.promises.writeFile(variantPath, rendered.imageBuffer);
+      const scores = await scoreVariant(
+        { imageBuffer: rendered.imageBuffer, qa: rendered.qa, palette },
+        options.variantScoring
+      );
+      console.log(
+        `describePageAndGenerate variant ${variant}/${variationCount} scored ${scores.total}`,
+        scores
+      );
+      variants.push({
+        variant,
+        path: variantPath,
+        camera: getCameraInstruction(variant) || null,
+        qa: rendered.qa,
+        scores,
+      });
+    }
+    const winner = variants.reduce((best, entry) =>
+      entry.scores.total > best.scores.total ? entry : best
+    );
+    selectedVariant = winner.variant;
+    qa = winner.qa;
+    await fs.promises.copyFile(winner.path, outputPath);
+    console.log(`describePageAndGenerate selected variant ${selectedVariant} of ${variationCount}`);
+  }
 
   console.log("Render saved to:", outputPath);
 
+  // Extra viewpoints reuse the description above; view 1 is the render just saved
+  const viewpoints = resolveViewpoints({ views: options.views, viewpoints: options.viewpoints });
+  let views = null;
+  if (viewpoints) {
+    views = [{ view: 1, viewpoint: null, label: "Board camera", path: outputPath, qa }];
+    for (const [index, viewpoint] of viewpoints.entries()) {
+      const view = index + 2;
+      const rendered = await renderVariant(1, viewpoint);
+      const viewPath = path.join(outputDir, `${outputBaseName}-render-view${view}.png`);
+      await fs.promises.writeFile(viewPath, rendered.imageBuffer);
+      console.log(`describePageAndGenerate view ${view} (${viewpoint}) saved to:`, viewPath);
+      views.push({ view, viewpoint, label: VIEWPOINTS[viewpoint].label, path: viewPath, qa: rendered.qa });
+    }
+  }
+
   console.log(
     "describePageAndGenerate completed. Returning description keys:",
     Object.keys(descriptionData || {}),
@@ -145,7 +401,19 @@ async function describePageAndGenerate(imagePaths, options = {}) {
     outputPath
   );
 
-  return { description: descriptionData, renderPath: outputPath };
+  return {
+    description: descriptionData,
+    descriptionPath,
+    renderPath: outputPath,
+    layoutPath,
+    modelPaths,
+    retries,
+    qa,
+    variants,
+    selectedVariant,
+    views,
+    geometryIssues: geometryCheck.issues,
+  };
 }
 
 module.exports = { describePageAndGenerate };
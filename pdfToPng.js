@@ -2,6 +2,7 @@ const fs = require("fs");
 const path = require("path");
 const { createCanvas } = require("@napi-rs/canvas");
 const pdfjsLib = require("pdfjs-dist/legacy/build/pdf.js");
+const { throwIfAborted } = require("./abort");
 pdfjsLib.GlobalWorkerOptions.workerSrc = undefined;
 const suppressedWarningPatterns = [
   /Optional content group not found/i,
@@ -54,7 +55,15 @@ async function pdfToPngs(pdfPath, outputDir, options = {}) {
     filter(originalLog, args);
   };
 
-  const { dpi = 110, filePrefix = "page", padPages = true, skipPages = 0 } = options;
+  const {
+    dpi = 110,
+    filePrefix = "page",
+    padPages = true,
+    skipPages = 0,
+    extractText = false,
+    onPage,
+    signal,
+  } = options;
   const scale = dpi / 72;
 
   if (!pdfPath) {
@@ -67,14 +76,16 @@ async function pdfToPngs(pdfPath, outputDir, options = {}) {
   originalLog("[pdfToPng] Starting conversion", {
     pdfPath: path.resolve(pdfPath),
     outputDir: path.resolve(outputDir),
-    options,
+    options: { dpi, filePrefix, padPages, skipPages, extractText },
   });
 
+  let pdfDocument = null;
   try {
+    throwIfAborted(signal);
     await fs.promises.mkdir(outputDir, { recursive: true });
     const data = new Uint8Array(fs.readFileSync(pdfPath));
     const loadingTask = pdfjsLib.getDocument({ data, disableWorker: true });
-    const pdfDocument = await loadingTask.promise;
+    pdfDocument = await loadingTask.promise;
     const totalPages = pdfDocument.numPages;
     const padLength = padPages ? String(totalPages).length : 1;
     const results = [];
@@ -86,6 +97,7 @@ async function pdfToPngs(pdfPath, outputDir, options = {}) {
     }
 
     for (let pageNum = startPage; pageNum <= totalPages; pageNum += 1) {
+      throwIfAborted(signal);
       originalLog("[pdfToPng] Rendering page", pageNum);
       const page = await pdfDocument.getPage(pageNum);
       const viewport = page.getViewport({ scale });
@@ -115,6 +127,13 @@ async function pdfToPngs(pdfPath, outputDir, options = {}) {
         pngBuffer.length
       );
       canvasFactory.destroy({ canvas, context });
+      const textLayer = extractText ? await readTextLayer(page) : undefined;
+      if (textLayer) {
+        originalLog(`[pdfToPng] Read ${textLayer.items.length} text item(s) on page ${pageNum}`);
+      }
+      if (typeof onPage === "function") {
+        onPage({ pageNumber: pageNum, totalPages, outputPath, textLayer });
+      }
     }
 
     originalLog("[pdfToPng] Completed conversion.");
@@ -122,9 +141,38 @@ async function pdfToPngs(pdfPath, outputDir, options = {}) {
   } finally {
     console.warn = originalWarn;
     console.log = originalLog;
+    if (pdfDocument) {
+      await pdfDocument.destroy().catch(() => {});
+    }
   }
 }
 
+/**
+ * Reads the text content of a page, in unscaled page units measured from the top left.
+ *
+ * @returns {Promise<{ width: number, height: number, items: Array<{ text: string, x: number, y: number, width: number, height: number, fontSize: number }> }>}
+ *   `y` is the top of the text; a page with no text layer has no items.
+ */
+async function readTextLayer(page) {
+  const viewport = page.getViewport({ scale: 1 });
+  const content = await page.getTextContent();
+  const items = content.items
+    .filter((item) => item.str && item.str.trim())
+    .map((item) => {
+      const transform = pdfjsLib.Util.transform(viewport.transform, item.transform);
+      const fontSize = Math.hypot(transform[2], transform[3]);
+      return {
+        text: item.str,
+        x: transform[4],
+        y: transform[5] - fontSize,
+        width: item.width,
+        height: fontSize,
+        fontSize,
+      };
+    });
+  return { width: viewport.width, height: viewport.height, items };
+}
+
 module.exports = { pdfToPngs };
 
 if (require.main === module) {
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+const { GoogleGenAI } = require("@google/genai");
+const { raceWithSignal } = require("../abort");
+
+function readGeminiKey(explicitKey, keyFile) {
+  if (explicitKey) return explicitKey;
+
+  const candidates = [
+    keyFile,
+    path.resolve(process.cwd(), "key.txt"),
+    path.resolve(process.cwd(), "gemini-key.txt"),
+  ].filter(Boolean);
+
+  for (const filePath of candidates) {
+    try {
+      const key = fs.readFileSync(filePath, "utf8").trim();
+      if (key) {
+        return key;
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  if (process.env.GEMINI_API_KEY) {
+    return process.env.GEMINI_API_KEY.trim();
+  }
+
+  throw new Error(
+    "Gemini API key not found. Provide one via options.apiKey, GEMINI_API_KEY, or key.txt/gemini-key.txt."
+  );
+}
+
+function extractInlineImage(response) {
+  const parts =
+    response?.response?.candidates?.[0]?.content?.parts ||
+    response?.candidates?.[0]?.content?.parts ||
+    [];
+
+  for (const part of parts) {
+    if (part.inlineData?.data) {
+      return Buffer.from(part.inlineData.data, "base64");
+    }
+  }
+  return null;
+}
+
+/**
+ * Image provider backed by Gemini image generation.
+ *
+ * @param {object} request
+ * @param {string} request.prompt - Final prompt text (negative prompt already applied).
+ * @param {Array<{ mimeType: string, data: string }>} request.referenceImages - Base64 reference images.
+ * @param {string} request.model
+ * @param {AbortSignal} [request.signal]
+ * @param {string} [request.apiKey]
+ * @param {string} [request.keyFile]
+ * @returns {Promise<Buffer>} The generated image bytes.
+ */
+async function generateImage({ prompt, referenceImages, model, signal, apiKey, keyFile }) {
+  const promptParts = [
+    {
+      role: "user",
+      parts: [{ text: prompt }],
+    },
+  ];
+
+  referenceImages.forEach((reference, index) => {
+    promptParts[0].parts.push({
+      inlineData: {
+        mimeType: reference.mimeType,
+        data: reference.data,
+      },
+    });
+    console.log(
+      `Attached reference image #${index + 1} with mimeType:`,
+      reference.mimeType
+    );
+  });
+
+  const ai = new GoogleGenAI({ apiKey: readGeminiKey(apiKey, keyFile) });
+
+  // @google/genai does not accept an AbortSignal yet, so abandon the request on abort.
+  const response = await raceWithSignal(
+    ai.models.generateContent({
+      model,
+      contents: promptParts,
+    }),
+    signal
+  );
+  console.log("Gemini response metadata:", JSON.stringify({
+    hasResponse: Boolean(response),
+    candidateCount: response?.response?.candidates?.length ?? response?.candidates?.length ?? 0,
+  }));
+
+  console.log(
+    "Gemini raw response summary:",
+    JSON.stringify(response?.response?.candidates?.[0]?.content?.parts || [], null, 2).slice(0, 400)
+  );
+
+  const candidate =
+    response?.response?.candidates?.[0] || response?.candidates?.[0] || null;
+
+  const contentParts = candidate?.content?.parts || response?.parts || [];
+
+  let imageBuffer = null;
+  for (const part of contentParts) {
+    if (part.inlineData?.data) {
+      imageBuffer = Buffer.from(part.inlineData.data, "base64");
+      break;
+    }
+  }
+
+  if (!imageBuffer) {
+    const fallback =
+      contentParts
+        .map((part) => part.text)
+        .filter(Boolean)
+        .join("\n")
+        .trim() || "No inline image data returned.";
+    console.error(
+      "Gemini response contained no image data. Fallback text:",
+      fallback
+    );
+    throw new Error(
+      `Image generation completed but no image data was provided. Model said: ${fallback}`
+    );
+  }
+
+  return imageBuffer;
+}
+
+module.exports = {
+  name: "gemini",
+  defaultModel: "gemini-2.5-flash-image",
+  generateImage,
+  readGeminiKey,
+  extractInlineImage,
+};
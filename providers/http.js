@@ -0,0 +1,40 @@
+const { createAbortError } = require("../abort");
+
+/**
+ * POSTs a JSON body to a self-hosted model server and returns the parsed JSON reply.
+ * Non-2xx replies throw an Error carrying `status` and `headers`, so the request
+ * scheduler can retry them like SDK errors. Connection failures keep fetch's error
+ * (with `cause.code`), which the scheduler also treats as transient.
+ */
+async function postJson(url, body, { signal, timeoutMs, label, headers = {} }) {
+  const timeoutSignal = AbortSignal.timeout(timeoutMs);
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      const error = new Error(
+        `${label} request failed with status ${response.status}: ${text.slice(0, 300)}`
+      );
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+    return await response.json();
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw createAbortError(signal);
+    }
+    if (timeoutSignal.aborted) {
+      throw new Error(`${label} request timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  }
+}
+
+module.exports = { postJson };
@@ -0,0 +1,90 @@
+/**
+ * Registry of model providers for the two AI stages of the pipeline.
+ *
+ * A describe provider implements
+ *   describe({ prompt, images, model, roomContext, signal, ...providerOptions }) -> Promise<string>
+ * returning the raw model text (narrative followed by GEOMETRY_JSON). Describe providers
+ * that set `supportsStructuredOutput` also receive `responseSchema` (a JSON Schema) and
+ * must then reply with JSON matching it.
+ *
+ * An image provider implements
+ *   generateImage({ prompt, referenceImages, model, roomName, attempt, variant, outputSize, edit, signal, ...providerOptions }) -> Promise<Buffer>
+ * returning the rendered image bytes. `attempt` counts from 1 and goes up when a render is
+ * regenerated after failing QA; `variant` counts the render variations of one room (both
+ * are hints for seeding, the prompt already differs). Image providers that set `supportsNegativePrompt`
+ * receive `negativePrompt` separately instead of having it appended to the prompt. When an
+ * output size is requested, every provider receives `outputSize` ({ width, height, ratio,
+ * aspectRatio }); those that set `supportsOutputSize` generate at that shape, and the others
+ * are asked for it in the prompt. The image is cropped and resized to fit either way.
+ * `edit` is true when the single reference image is an existing render to be changed as
+ * the prompt describes (see editRoomImage), rather than a board page. Image providers
+ * that set `drawsText` put text into their renders on purpose, so render QA skips its
+ * text check for them.
+ *
+ * Both also expose `name` and `defaultModel`. Providers are selected by name (or passed
+ * as objects) through options, or with the STAGIFY_DESCRIBE_PROVIDER /
+ * STAGIFY_IMAGE_PROVIDER / STAGIFY_PROVIDER environment variables.
+ */
+
+const describeProviders = new Map();
+const imageProviders = new Map();
+
+function registerDescribeProvider(provider) {
+  assertProvider(provider, "describe");
+  describeProviders.set(provider.name, provider);
+}
+
+function registerImageProvider(provider) {
+  assertProvider(provider, "generateImage");
+  imageProviders.set(provider.name, provider);
+}
+
+function resolveDescribeProvider(selection) {
+  return resolveProvider(
+    selection || process.env.STAGIFY_DESCRIBE_PROVIDER || process.env.STAGIFY_PROVIDER || "openai",
+    describeProviders,
+    "describe"
+  );
+}
+
+function resolveImageProvider(selection) {
+  return resolveProvider(
+    selection || process.env.STAGIFY_IMAGE_PROVIDER || process.env.STAGIFY_PROVIDER || "gemini",
+    imageProviders,
+    "generateImage"
+  );
+}
+
+function resolveProvider(selection, registry, method) {
+  if (typeof selection === "object") {
+    assertProvider(selection, method);
+    return selection;
+  }
+  const provider = registry.get(selection);
+  if (!provider) {
+    throw new Error(
+      `Unknown provider "${selection}". Available: ${Array.from(registry.keys()).join(", ")}`
+    );
+  }
+  return provider;
+}
+
+function assertProvider(provider, method) {
+  if (!provider || !provider.name || typeof provider[method] !== "function") {
+    throw new Error(`A provider needs a name and a ${method}() function`);
+  }
+}
+
+registerDescribeProvider(require("./openai"));
+registerDescribeProvider(require("./mock"));
+registerDescribeProvider(require("./ollama"));
+registerImageProvider(require("./gemini"));
+registerImageProvider(require("./mock"));
+registerImageProvider(require("./stable-diffusion"));
+
+module.exports = {
+  registerDescribeProvider,
+  registerImageProvider,
+  resolveDescribeProvider,
+  resolveImageProvider,
+};
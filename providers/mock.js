@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { throwIfAborted } = require("../abort");
+const { escapeXML } = require("../text-adder");
+
+/**
+ * Deterministic offline provider for both stages. It never touches the network, so
+ * the full pdfGenerate -> outputMerge flow can run in CI or without API keys. The
+ * same room always gets the same canned description and placeholder render.
+ */
+
+const MOCK_WIDTH = 1024;
+const MOCK_HEIGHT = 768;
+
+function seededNumber(seed, index, min, max) {
+  const digest = crypto.createHash("sha256").update(`${seed}:${index}`).digest();
+  const fraction = digest.readUInt32BE(0) / 0xffffffff;
+  return Math.round((min + fraction * (max - min)) * 2) / 2;
+}
+
+function getRoomLabel(roomName, prompt = "") {
+  if (roomName && roomName.trim()) {
+    return roomName.trim();
+  }
+  const match = /^Room heading: (.+)$/m.exec(prompt);
+  return match ? match[1].trim() : "Room";
+}
+
+function buildMockGeometry(label) {
+  const length = seededNumber(label, 1, 12, 24);
+  const width = seededNumber(label, 2, 10, 18);
+  return {
+    room: { length_ft: length, width_ft: width, ceiling_ft: 9 },
+    openings: [
+      { type: "door", wall: "south", width_ft: 3, height_ft: 7, offset_ft: 2 },
+      { type: "window", wall: "north", width_ft: 5, height_ft: 4, offset_ft: Math.max(1, length / 2 - 2.5) },
+    ],
+    fixtures: [
+      {
+        name: "Sofa",
+        quantity: 1,
+        dimensions_ft: [7, 3, 3],
+        position_ft: { from_west: Math.max(0.5, length / 2 - 3.5), from_north: 1 },
+        orientation: "faces south wall",
+      },
+      {
+        name: "Coffee table",
+        quantity: 1,
+        dimensions_ft: [4, 2, 1.5],
+        position_ft: { from_west: Math.max(0.5, length / 2 - 2), from_north: 5 },
+        orientation: "faces north wall",
+      },
+    ],
+  };
+}
+
+async function describe({ prompt, images, roomContext, responseSchema, signal }) {
+  throwIfAborted(signal);
+  const label = getRoomLabel(roomContext?.roomName, prompt);
+  const geometry = buildMockGeometry(label);
+  console.log(`[mock] Describing "${label}" from ${images.length} image(s)`);
+  const narrative = [
+    `Mock description for ${label}. The room measures ${geometry.room.length_ft} ft by ${geometry.room.width_ft} ft with a ${geometry.room.ceiling_ft} ft ceiling.`,
+    "A sofa faces the entry from the north wall with a coffee table in front of it. Walls are warm white, the floor is light oak.",
+    "The hero camera stands at the south door looking north.",
+  ].join("\n");
+  if (responseSchema) {
+    // Structured requests get the whole description, repair requests only the geometry
+    return JSON.stringify(responseSchema.properties?.narrative ? { narrative, geometry } : geometry);
+  }
+  return [narrative, "GEOMETRY_JSON", JSON.stringify(geometry, null, 2)].join("\n");
+}
+
+async function generateImage({ prompt, roomName, attempt = 1, variant = 1, outputSize, edit, signal }) {
+  throwIfAborted(signal);
+  const label = getRoomLabel(roomName, prompt);
+  // Regenerations, variations and edits of the same room get a different colour so they can be told apart
+  const seed = [
+    label,
+    variant > 1 ? `v${variant}` : "",
+    attempt > 1 ? `#${attempt}` : "",
+    edit ? `~${prompt}` : "",
+  ].join("");
+  const hue = Math.round(seededNumber(seed, 3, 0, 359));
+  const height = outputSize ? Math.round(MOCK_WIDTH / outputSize.ratio) : MOCK_HEIGHT;
+  console.log(`[mock] Rendering placeholder for "${label}"`);
+  const svg = `
+<svg width="${MOCK_WIDTH}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="hsl(${hue}, 35%, 70%)" />
+      <stop offset="100%" stop-color="hsl(${(hue + 40) % 360}, 35%, 40%)" />
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bg)" />
+  <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle"
+    font-family="Inter, Segoe UI, Helvetica, Arial, sans-serif" font-size="56" font-weight="700"
+    fill="#ffffff">${escapeXML(label)}</text>
+  <text x="50%" y="58%" text-anchor="middle" font-family="Helvetica, Arial, sans-serif"
+    font-size="24" fill="#ffffff">${edit ? "mock edit" : "mock render"}</text>
+</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+module.exports = {
+  name: "mock",
+  defaultModel: "mock",
+  supportsStructuredOutput: true,
+  supportsOutputSize: true,
+  // Placeholder renders carry the room name and a "mock render" caption
+  drawsText: true,
+  describe,
+  generateImage,
+};
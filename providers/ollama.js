@@ -0,0 +1,112 @@
+const { postJson } = require("./http");
+
+/**
+ * Describe provider for a locally served vision model, so boards never leave the
+ * network. Speaks either the Ollama chat API (`/api/chat`) or the OpenAI-compatible
+ * chat completions API (`/v1/chat/completions`) offered by Ollama, LM Studio, vLLM
+ * and llama.cpp.
+ *
+ * Settings come from the request (pdfGenerate `describeProviderOptions`) or the
+ * environment: OLLAMA_BASE_URL, OLLAMA_MODEL, OLLAMA_API, OLLAMA_API_KEY.
+ */
+
+const DEFAULTS = {
+  baseUrl: "http://127.0.0.1:11434",
+  api: "ollama",
+  timeoutMs: 10 * 60 * 1000,
+};
+
+/**
+ * @param {object} request
+ * @param {string} request.prompt - The buildPromptWithContext prompt.
+ * @param {Array<{ mimeType: string, data: Buffer }>} request.images - Board page images.
+ * @param {string} request.model - Vision model name, e.g. "llama3.2-vision".
+ * @param {object} [request.responseSchema] - JSON Schema for the reply.
+ * @param {AbortSignal} [request.signal]
+ * @param {string} [request.baseUrl]
+ * @param {string} [request.api] - "ollama" or "openai".
+ * @param {number} [request.temperature]
+ * @param {string} [request.apiKey] - Sent as a bearer token (OpenAI-compatible servers only).
+ * @returns {Promise<string>} The raw text output.
+ */
+async function describe(request) {
+  const { prompt, images, model, responseSchema, signal, temperature } = request;
+  const baseUrl = (request.baseUrl || process.env.OLLAMA_BASE_URL || DEFAULTS.baseUrl).replace(
+    /\/+$/,
+    ""
+  );
+  const api = request.api || process.env.OLLAMA_API || DEFAULTS.api;
+  const timeoutMs = request.timeoutMs || DEFAULTS.timeoutMs;
+
+  if (api === "ollama") {
+    const url = `${baseUrl}/api/chat`;
+    console.log(`[ollama] POST ${url} (model ${model}, ${images.length} image(s))`);
+    const payload = await postJson(
+      url,
+      {
+        model,
+        stream: false,
+        messages: [
+          {
+            role: "user",
+            content: prompt,
+            images: images.map((image) => image.data.toString("base64")),
+          },
+        ],
+        ...(responseSchema ? { format: responseSchema } : {}),
+        ...(temperature !== undefined ? { options: { temperature } } : {}),
+      },
+      { signal, timeoutMs, label: "Ollama" }
+    );
+    return payload.message?.content?.trim() || "";
+  }
+
+  if (api === "openai") {
+    const url = `${baseUrl}/v1/chat/completions`;
+    const apiKey = request.apiKey || process.env.OLLAMA_API_KEY;
+    console.log(`[ollama] POST ${url} (model ${model}, ${images.length} image(s))`);
+    const payload = await postJson(
+      url,
+      {
+        model,
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: prompt },
+              ...images.map((image) => ({
+                type: "image_url",
+                image_url: { url: `data:${image.mimeType};base64,${image.data.toString("base64")}` },
+              })),
+            ],
+          },
+        ],
+        ...(responseSchema
+          ? {
+              response_format: {
+                type: "json_schema",
+                json_schema: { name: responseSchema.title || "response", schema: responseSchema },
+              },
+            }
+          : {}),
+        ...(temperature !== undefined ? { temperature } : {}),
+      },
+      {
+        signal,
+        timeoutMs,
+        label: "OpenAI-compatible",
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      }
+    );
+    return payload.choices?.[0]?.message?.content?.trim() || "";
+  }
+
+  throw new Error(`Unknown local describe API "${api}". Expected ollama or openai`);
+}
+
+module.exports = {
+  name: "ollama",
+  defaultModel: process.env.OLLAMA_MODEL || "llama3.2-vision",
+  supportsStructuredOutput: true,
+  describe,
+};
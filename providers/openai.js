@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const OpenAI = require("openai");
+
+function readApiKey(explicitKey, keyFile) {
+  if (explicitKey) return explicitKey;
+
+  const candidates = [
+    keyFile,
+    path.resolve(process.cwd(), "gpt-key.txt"),
+    path.resolve(process.cwd(), "key.txt"),
+  ].filter(Boolean);
+
+  for (const filePath of candidates) {
+    try {
+      const key = fs.readFileSync(filePath, "utf8").trim();
+      if (key) {
+        return key;
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  if (process.env.OPENAI_API_KEY) {
+    return process.env.OPENAI_API_KEY;
+  }
+
+  throw new Error(
+    "OpenAI API key not found. Provide one via options.apiKey, OPENAI_API_KEY, or gpt-key.txt/key.txt."
+  );
+}
+
+/**
+ * Describe provider backed by the OpenAI Responses API.
+ *
+ * @param {object} request
+ * @param {string} request.prompt - Full instruction prompt.
+ * @param {Array<{ mimeType: string, data: Buffer }>} request.images - Board page images.
+ * @param {string} request.model
+ * @param {object} [request.responseSchema] - JSON Schema enforced through structured outputs.
+ * @param {AbortSignal} [request.signal]
+ * @param {string} [request.apiKey]
+ * @param {string} [request.keyFile]
+ * @returns {Promise<string>} The raw text output.
+ */
+async function describe({ prompt, images, model, responseSchema, signal, apiKey, keyFile }) {
+  // Retries are handled by the shared scheduler, not the SDK
+  const openai = new OpenAI({ apiKey: readApiKey(apiKey, keyFile), maxRetries: 0 });
+  console.log("[describe] OpenAI client initialized");
+
+  const response = await openai.responses.create(
+    {
+      model,
+      input: [
+        {
+          role: "user",
+          content: [
+            { type: "input_text", text: prompt },
+            ...images.map((image) => ({
+              type: "input_image",
+              image_url: `data:${image.mimeType};base64,${image.data.toString("base64")}`,
+            })),
+          ],
+        },
+      ],
+      ...(responseSchema
+        ? {
+            text: {
+              format: {
+                type: "json_schema",
+                name: responseSchema.title || "response",
+                schema: responseSchema,
+                strict: true,
+              },
+            },
+          }
+        : {}),
+    },
+    { signal }
+  );
+  console.log("[describe] Received OpenAI response");
+
+  return (
+    response.output_text ??
+    response.content?.map((item) => item.text).filter(Boolean).join("\n").trim()
+  );
+}
+
+module.exports = {
+  name: "openai",
+  defaultModel: "gpt-4o-mini",
+  supportsStructuredOutput: true,
+  describe,
+  readApiKey,
+};
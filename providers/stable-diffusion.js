@@ -0,0 +1,150 @@
+const { postJson } = require("./http");
+
+/**
+ * Image provider for a self-hosted Stable Diffusion server exposing the
+ * Automatic1111 web UI API (`/sdapi/v1/txt2img` and `/sdapi/v1/img2img`).
+ * ComfyUI and other backends work through any A1111-compatible API extension.
+ *
+ * Settings come from the request (pdfGenerate `imageProviderOptions`) or the
+ * environment: SD_BASE_URL, SD_STEPS, SD_SEED, SD_SAMPLER, SD_MODE.
+ */
+
+const DEFAULTS = {
+  baseUrl: "http://127.0.0.1:7860",
+  steps: 30,
+  seed: -1,
+  sampler: "DPM++ 2M Karras",
+  cfgScale: 7,
+  denoisingStrength: 0.75,
+  // Edits should change one thing, so they stay much closer to the source render
+  editDenoisingStrength: 0.45,
+  width: 1024,
+  height: 768,
+  timeoutMs: 10 * 60 * 1000,
+};
+
+function resolveSettings(request) {
+  const pick = (key, envName, parse = (value) => value) => {
+    if (request[key] !== undefined && request[key] !== null && request[key] !== "") {
+      return request[key];
+    }
+    if (envName && process.env[envName]) {
+      return parse(process.env[envName]);
+    }
+    return DEFAULTS[key];
+  };
+
+  return {
+    baseUrl: String(pick("baseUrl", "SD_BASE_URL")).replace(/\/+$/, ""),
+    steps: Number(pick("steps", "SD_STEPS", Number)),
+    seed: Number(pick("seed", "SD_SEED", Number)),
+    sampler: pick("sampler", "SD_SAMPLER"),
+    // "img2img" uses the first board page as the init image; "txt2img" ignores references
+    mode: pick("mode", "SD_MODE") || null,
+    cfgScale: Number(pick("cfgScale")),
+    denoisingStrength: Number(pick("denoisingStrength")),
+    editDenoisingStrength: Number(pick("editDenoisingStrength")),
+    ...resolveDimensions(request, pick),
+    timeoutMs: Number(pick("timeoutMs")),
+  };
+}
+
+// Explicit width/height win; otherwise the requested output shape at roughly the default
+// pixel count, in multiples of 64 as SD checkpoints expect. Final sizing happens afterwards.
+function resolveDimensions(request, pick) {
+  if (request.width || request.height || !request.outputSize) {
+    return { width: Number(pick("width")), height: Number(pick("height")) };
+  }
+  const area = DEFAULTS.width * DEFAULTS.height;
+  const snap = (value) => Math.max(256, Math.round(value / 64) * 64);
+  return {
+    width: snap(Math.sqrt(area * request.outputSize.ratio)),
+    height: snap(Math.sqrt(area / request.outputSize.ratio)),
+  };
+}
+
+/**
+ * @param {object} request
+ * @param {string} request.prompt - The augmented prompt from page-processing.js.
+ * @param {string} [request.negativePrompt] - Sent as `negative_prompt`.
+ * @param {Array<{ mimeType: string, data: string }>} request.referenceImages - Base64 board pages.
+ * @param {string} [request.model] - Checkpoint name, applied through `override_settings`.
+ * @param {AbortSignal} [request.signal]
+ * @param {string} [request.baseUrl]
+ * @param {number} [request.steps]
+ * @param {number} [request.seed] - -1 picks a random seed; a fixed seed is offset by `variant`.
+ * @param {string} [request.sampler]
+ * @param {string} [request.mode] - "img2img" (default when a reference exists) or "txt2img".
+ * @param {object} [request.outputSize] - Requested output shape; sets the generation size
+ *   unless `width`/`height` are given.
+ * @param {boolean} [request.edit] - Edit of an existing render (the reference): always
+ *   img2img, with `editDenoisingStrength`.
+ * @returns {Promise<Buffer>} The generated image bytes.
+ */
+async function generateImage(request) {
+  const { prompt, negativePrompt, referenceImages = [], model, signal } = request;
+  const settings = resolveSettings(request);
+  const mode = request.edit
+    ? "img2img"
+    : settings.mode || (referenceImages.length > 0 ? "img2img" : "txt2img");
+  if (mode !== "img2img" && mode !== "txt2img") {
+    throw new Error(`Unknown Stable Diffusion mode "${mode}". Expected img2img or txt2img`);
+  }
+  if (mode === "img2img" && referenceImages.length === 0) {
+    throw new Error("Stable Diffusion img2img requires a reference image");
+  }
+
+  // A fixed seed still gives each render variation its own, reproducible image
+  const seed = settings.seed >= 0 ? settings.seed + (request.variant || 1) - 1 : settings.seed;
+  const body = {
+    prompt,
+    negative_prompt: negativePrompt || "",
+    steps: settings.steps,
+    seed,
+    sampler_name: settings.sampler,
+    cfg_scale: settings.cfgScale,
+    width: settings.width,
+    height: settings.height,
+    batch_size: 1,
+    n_iter: 1,
+  };
+  if (model) {
+    body.override_settings = { sd_model_checkpoint: model };
+  }
+  if (mode === "img2img") {
+    if (referenceImages.length > 1) {
+      console.log(
+        `[stable-diffusion] img2img uses the first of ${referenceImages.length} reference images`
+      );
+    }
+    body.init_images = [referenceImages[0].data];
+    body.denoising_strength = request.edit
+      ? settings.editDenoisingStrength
+      : settings.denoisingStrength;
+  }
+
+  const url = `${settings.baseUrl}/sdapi/v1/${mode}`;
+  console.log(
+    `[stable-diffusion] POST ${url} (steps=${settings.steps}, seed=${seed}, sampler=${settings.sampler})`
+  );
+
+  const payload = await postJson(url, body, {
+    signal,
+    timeoutMs: settings.timeoutMs,
+    label: "Stable Diffusion",
+  });
+  const image = Array.isArray(payload.images) ? payload.images[0] : null;
+  if (!image) {
+    throw new Error("Stable Diffusion response contained no images");
+  }
+  // Some servers prefix the base64 payload with a data URL header
+  return Buffer.from(image.replace(/^data:image\/\w+;base64,/, ""), "base64");
+}
+
+module.exports = {
+  name: "stable-diffusion",
+  defaultModel: null,
+  supportsNegativePrompt: true,
+  supportsOutputSize: true,
+  generateImage,
+};
@@ -0,0 +1,271 @@
+const fs = require("fs");
+const sharp = require("sharp");
+const { throwIfAborted } = require("./abort");
+const { recognizeText } = require("./ocr-pool");
+
+/**
+ * Post-generation checks for the artefacts the render prompt forbids:
+ * - text: stray words (room names, labels, dimension callouts) found by Tesseract OCR
+ * - borders: solid white or black bands along an edge of the frame
+ * - panels: a large flat "paper" rectangle inside the frame, which is how a pasted
+ *   floor plan or swatch panel from the board usually shows up
+ *
+ * The border and panel checks are heuristics on sharp pixel statistics; thresholds can
+ * be tuned through the options below.
+ */
+
+const DEFAULTS = {
+  language: "eng",
+  minWordConfidence: 80,
+  minWordLength: 3,
+  maxTextWords: 0,
+  borderRatio: 0.02,
+  borderMaxStdev: 10,
+  panelMinArea: 0.04,
+  panelMinFill: 0.75,
+};
+// Analysis grid for panel detection (cells across x down)
+const GRID_COLUMNS = 16;
+const GRID_ROWS = 12;
+const CELL_SIZE = 8;
+
+/**
+ * @param {Buffer|string} image - Render bytes or a path to the render.
+ * @param {object} [options]
+ * @param {boolean} [options.ocr=true] - Run the OCR text check.
+ * @param {string} [options.language="eng"] - Tesseract language code.
+ * @param {number} [options.minWordConfidence=80] - OCR words below this confidence are ignored.
+ * @param {number} [options.minWordLength=3] - Shorter words (usually texture noise) are ignored.
+ * @param {number} [options.maxTextWords=0] - Stray words allowed before the text check fails.
+ * @param {number} [options.borderRatio=0.02] - Edge band examined for solid borders (0-1).
+ * @param {number} [options.borderMaxStdev=10] - Max channel deviation for a band to count as solid.
+ * @param {number} [options.panelMinArea=0.04] - Smallest flagged panel, as a fraction of the frame.
+ * @param {number} [options.panelMinFill=0.75] - How rectangular a paper region must be to count.
+ * @param {object} [options.tesseractOptions] - Additional options passed to Tesseract.recognize.
+ * @param {object} [options.ocrPool] - OCR worker pool (see ocr-pool.js) to run the text check on.
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ passed: boolean, score: number, issues: string[], checks: object }>}
+ *   `score` runs from 0 (every check failed badly) to 1 (clean).
+ */
+async function assessRender(image, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  throwIfAborted(settings.signal);
+  const buffer = Buffer.isBuffer(image) ? image : await fs.promises.readFile(image);
+  const metadata = await sharp(buffer).metadata();
+  if (!metadata.width || !metadata.height) {
+    throw new Error("Unable to read render dimensions for QA");
+  }
+
+  const borders = await checkBorders(buffer, metadata, settings);
+  const panels = await checkPanels(buffer, settings);
+  const text = settings.ocr === false ? null : await checkText(buffer, settings);
+
+  const issues = [];
+  let score = 1;
+  if (text && !text.passed) {
+    issues.push(`stray text: ${text.words.map((word) => `"${word.text}"`).join(", ")}`);
+    score -= Math.min(0.5, 0.1 * text.words.length);
+  }
+  if (!borders.passed) {
+    issues.push(
+      `solid borders: ${borders.sides.map((side) => `${side.side} (${side.color})`).join(", ")}`
+    );
+    score -= 0.15 * borders.sides.length;
+  }
+  if (!panels.passed) {
+    issues.push(
+      `board-like panel(s) covering ${Math.round(panels.largestArea * 100)}% of the frame`
+    );
+    score -= Math.min(0.4, 0.1 + panels.largestArea * 2);
+  }
+
+  const result = {
+    passed: issues.length === 0,
+    score: Math.round(Math.max(0, score) * 1000) / 1000,
+    issues,
+    checks: { text, borders, panels },
+  };
+  console.log(
+    `[render-qa] ${result.passed ? "Passed" : "Failed"} (score ${result.score})${
+      issues.length ? `: ${issues.join("; ")}` : ""
+    }`
+  );
+  return result;
+}
+
+async function checkText(buffer, settings) {
+  const prepared = await sharp(buffer).greyscale().normalize().png().toBuffer();
+  const result = await recognizeText(prepared, {
+    pool: settings.ocrPool,
+    language: settings.language,
+    tesseractOptions: settings.tesseractOptions || {},
+    signal: settings.signal,
+  });
+  const words = (Array.isArray(result?.data?.words) ? result.data.words : [])
+    .map((word) => ({
+      text: (word.text || "").trim(),
+      confidence: Math.round(word.confidence ?? 0),
+      bbox: word.bbox || null,
+    }))
+    .filter(
+      (word) =>
+        word.confidence >= settings.minWordConfidence &&
+        word.text.replace(/[^A-Za-z0-9]/g, "").length >= settings.minWordLength
+    );
+  return { passed: words.length <= settings.maxTextWords, words };
+}
+
+async function checkBorders(buffer, { width, height }, settings) {
+  const bandX = Math.max(2, Math.round(width * settings.borderRatio));
+  const bandY = Math.max(2, Math.round(height * settings.borderRatio));
+  const regions = {
+    top: { left: 0, top: 0, width, height: bandY },
+    bottom: { left: 0, top: height - bandY, width, height: bandY },
+    left: { left: 0, top: 0, width: bandX, height },
+    right: { left: width - bandX, top: 0, width: bandX, height },
+  };
+
+  const sides = [];
+  for (const [side, region] of Object.entries(regions)) {
+    // stats() reads the input image, so the band has to be extracted first
+    const band = await sharp(buffer).removeAlpha().extract(region).toBuffer();
+    const { channels } = await sharp(band).stats();
+    const colour = channels.slice(0, 3);
+    const flat = colour.every((channel) => channel.stdev <= settings.borderMaxStdev);
+    const mean = colour.reduce((sum, channel) => sum + channel.mean, 0) / colour.length;
+    if (flat && (mean >= 235 || mean <= 20)) {
+      sides.push({ side, color: mean >= 235 ? "white" : "black", mean: Math.round(mean) });
+    }
+  }
+  return { passed: sides.length === 0, sides };
+}
+
+async function checkPanels(buffer, settings) {
+  const width = GRID_COLUMNS * CELL_SIZE;
+  const height = GRID_ROWS * CELL_SIZE;
+  const pixels = await sharp(buffer)
+    .removeAlpha()
+    .resize(width, height, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  // A cell is "paper" when most of its pixels are bright and unsaturated
+  const paper = [];
+  for (let row = 0; row < GRID_ROWS; row += 1) {
+    for (let column = 0; column < GRID_COLUMNS; column += 1) {
+      let paperPixels = 0;
+      for (let dy = 0; dy < CELL_SIZE; dy += 1) {
+        for (let dx = 0; dx < CELL_SIZE; dx += 1) {
+          const offset = ((row * CELL_SIZE + dy) * width + column * CELL_SIZE + dx) * 3;
+          const r = pixels[offset];
+          const g = pixels[offset + 1];
+          const b = pixels[offset + 2];
+          if (Math.min(r, g, b) >= 220 && Math.max(r, g, b) - Math.min(r, g, b) <= 20) {
+            paperPixels += 1;
+          }
+        }
+      }
+      paper.push(paperPixels / (CELL_SIZE * CELL_SIZE) >= 0.6);
+    }
+  }
+
+  // Connected paper regions that are rectangular but do not span the whole frame
+  const seen = new Array(paper.length).fill(false);
+  const regions = [];
+  for (let start = 0; start < paper.length; start += 1) {
+    if (!paper[start] || seen[start]) continue;
+    const stack = [start];
+    seen[start] = true;
+    const cells = [];
+    while (stack.length) {
+      const cell = stack.pop();
+      cells.push(cell);
+      const row = Math.floor(cell / GRID_COLUMNS);
+      const column = cell % GRID_COLUMNS;
+      [
+        [row - 1, column],
+        [row + 1, column],
+        [row, column - 1],
+        [row, column + 1],
+      ].forEach(([r, c]) => {
+        const next = r * GRID_COLUMNS + c;
+        if (r >= 0 && r < GRID_ROWS && c >= 0 && c < GRID_COLUMNS && paper[next] && !seen[next]) {
+          seen[next] = true;
+          stack.push(next);
+        }
+      });
+    }
+    const rows = cells.map((cell) => Math.floor(cell / GRID_COLUMNS));
+    const columns = cells.map((cell) => cell % GRID_COLUMNS);
+    const box = {
+      left: Math.min(...columns),
+      right: Math.max(...columns),
+      top: Math.min(...rows),
+      bottom: Math.max(...rows),
+    };
+    const boxCells = (box.right - box.left + 1) * (box.bottom - box.top + 1);
+    regions.push({
+      area: cells.length / paper.length,
+      fill: cells.length / boxCells,
+      // Full-width bands are white ceilings or borders, not panels
+      spansFrame: box.left === 0 && box.right === GRID_COLUMNS - 1,
+      spansHeight: box.top === 0 && box.bottom === GRID_ROWS - 1,
+      box: {
+        x: box.left / GRID_COLUMNS,
+        y: box.top / GRID_ROWS,
+        width: (box.right - box.left + 1) / GRID_COLUMNS,
+        height: (box.bottom - box.top + 1) / GRID_ROWS,
+      },
+    });
+  }
+
+  const panels = regions
+    .filter(
+      (region) =>
+        region.area >= settings.panelMinArea &&
+        region.fill >= settings.panelMinFill &&
+        !region.spansFrame &&
+        !region.spansHeight
+    )
+    .map((region) => ({ area: Math.round(region.area * 1000) / 1000, box: region.box }));
+  return {
+    passed: panels.length === 0,
+    panels,
+    largestArea: panels.reduce((largest, panel) => Math.max(largest, panel.area), 0),
+  };
+}
+
+/**
+ * Prompt addendum for a regeneration, naming what the previous attempt got wrong.
+ */
+function buildQaFeedback(assessment) {
+  if (!assessment || assessment.passed) {
+    return "";
+  }
+  return [
+    "",
+    "QUALITY CHECK FAILED ON THE PREVIOUS ATTEMPT — fix these problems:",
+    ...assessment.issues.map((issue) => `- ${issue}`),
+    "Render only the interior scene, edge to edge, with no text, labels, panels, plans or borders.",
+  ].join("\n");
+}
+
+module.exports = { assessRender, buildQaFeedback };
+
+if (require.main === module) {
+  const [, , imageArg] = process.argv;
+  if (!imageArg) {
+    console.error("Usage: node render-qa.js <path-to-render>");
+    process.exit(1);
+  }
+
+  assessRender(imageArg)
+    .then((result) => {
+      console.log(JSON.stringify(result, null, 2));
+      process.exitCode = result.passed ? 0 : 2;
+    })
+    .catch((error) => {
+      console.error("Failed to check render:", error.message || error);
+      process.exit(1);
+    });
+}
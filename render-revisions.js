@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+const { addTitleToImage } = require("./text-adder");
+const { outputMerge } = require("./output-merge");
+const { loadManifest, createManifestWriter } = require("./run-manifest");
+const { buildContactSheet } = require("./render-views");
+const { editRoomImage } = require("./generate-room");
+
+/**
+ * Revision history of a finished run's room renders.
+ *
+ * Each group in run-manifest.json keeps `untitledRenderPath` (the render currently in use,
+ * before its title was drawn on) and, once it has been edited, `revisions`:
+ *   { revision, path, source: "render"|"variant"|"edit"|"regenerate", instruction, variant, basedOn, createdAt }
+ * Revision 1 is the render as the run left it, recorded on the first edit. Every edit adds a
+ * revision based on the current one; restoring an older revision makes it current again
+ * without dropping the newer ones. Whatever becomes current is titled, copied over the
+ * group's render and re-merged into the PDF. Each revision has its own file
+ * (`<base>-render-r<n>.png`), so regenerating the room later cannot overwrite it.
+ */
+
+// Manifest updates for one output directory run one at a time. A pdfGenerate run holds the
+// lock for the whole run, since it saves its own copy of the manifest
+const manifestLocks = new Map();
+
+function withManifestLock(outputDir, task) {
+  const key = path.resolve(outputDir);
+  const previous = manifestLocks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  const settled = run.catch(() => {});
+  manifestLocks.set(key, settled);
+  settled.then(() => {
+    if (manifestLocks.get(key) === settled) {
+      manifestLocks.delete(key);
+    }
+  });
+  return run;
+}
+
+async function loadGroup(outputDir, groupId) {
+  const manifest = await loadManifest(path.resolve(outputDir));
+  if (!manifest) {
+    throw new Error(`No run manifest found in ${outputDir}`);
+  }
+  const group = manifest.groups.find((entry) => entry.groupId === Number(groupId));
+  if (!group) {
+    throw new Error(`Group ${groupId} not found`);
+  }
+  return { manifest, group };
+}
+
+/**
+ * Makes `untitledPath` the group's render: titles it into `group.renderPath`, rebuilds the
+ * group's contact sheet if it has one and re-merges the PDF. The caller saves the manifest.
+ */
+async function applyGroupRender(outputDir, manifest, group, untitledPath) {
+  if (!group.renderPath) {
+    throw new Error(`Group ${group.groupId} has no render`);
+  }
+  if (!fs.existsSync(untitledPath)) {
+    throw new Error(`${untitledPath} is no longer on disk`);
+  }
+  await fs.promises.copyFile(untitledPath, group.renderPath);
+  if (group.titleText) {
+    await addTitleToImage(group.renderPath, group.titleText, { outputPath: group.renderPath });
+  }
+  group.untitledRenderPath = untitledPath;
+  if (group.contactSheetPath && Array.isArray(group.views)) {
+    await buildContactSheet(
+      group.views.map((view) => view.path),
+      { outputPath: group.contactSheetPath }
+    );
+  }
+  if (manifest.mergedPdfPath && Array.isArray(manifest.mergeImages)) {
+    await outputMerge({
+      outputDir: path.resolve(outputDir),
+      outputPath: manifest.mergedPdfPath,
+      imageFiles: manifest.mergeImages,
+    });
+    console.log(`[render-revisions] Re-merged ${manifest.mergedPdfPath}`);
+  }
+}
+
+/**
+ * Records the render the group has now as revision 1, unless it already has a history.
+ */
+async function recordOriginalRevision(group) {
+  if (Array.isArray(group.revisions) && group.revisions.length > 0) {
+    return;
+  }
+  group.revisions = [];
+  if (group.untitledRenderPath && fs.existsSync(group.untitledRenderPath)) {
+    // Copied, since a variant file can be overwritten by a later run
+    const originalPath = revisionPath(group, 1);
+    await fs.promises.copyFile(group.untitledRenderPath, originalPath);
+    group.revisions.push({
+      revision: 1,
+      path: originalPath,
+      source: group.selectedVariant ? "variant" : "render",
+      instruction: null,
+      variant: group.selectedVariant ?? null,
+      basedOn: null,
+      createdAt: new Date().toISOString(),
+    });
+    group.currentRevision = 1;
+  }
+}
+
+/**
+ * Appends a revision and makes it current. The render the group had before its first
+ * revision is recorded as revision 1, so it can always be restored. `fields.path` is copied
+ * to the revision's own file unless it already is that file.
+ */
+async function addRevision(group, fields) {
+  await recordOriginalRevision(group);
+  const number = group.revisions.length + 1;
+  const ownPath = revisionPath(group, number);
+  if (path.resolve(fields.path) !== path.resolve(ownPath)) {
+    await fs.promises.copyFile(fields.path, ownPath);
+  }
+  const revision = {
+    revision: number,
+    path: ownPath,
+    source: fields.source,
+    instruction: fields.instruction ?? null,
+    variant: fields.variant ?? null,
+    basedOn: group.currentRevision ?? null,
+    createdAt: new Date().toISOString(),
+  };
+  group.revisions.push(revision);
+  group.currentRevision = revision.revision;
+  return revision;
+}
+
+function revisionPath(group, revision) {
+  return group.renderPath.replace(/-render\.png$/, `-render-r${revision}.png`);
+}
+
+/**
+ * Edits a group's current render with a natural-language instruction and makes the result
+ * the group's new revision.
+ *
+ * @param {string} outputDir - The run's output directory (holds run-manifest.json).
+ * @param {number} groupId
+ * @param {string} instruction - e.g. "make the sofa green".
+ * @param {object} [options] - Forwarded to editRoomImage (provider, providerOptions, keyFile, signal, ...).
+ * @returns {Promise<{ groupId: number, revision: object, mergedPdfPath: string|null }>}
+ */
+function editGroupRender(outputDir, groupId, instruction, options = {}) {
+  return withManifestLock(outputDir, async () => {
+    const { manifest, group } = await loadGroup(outputDir, groupId);
+    const sourcePath = group.untitledRenderPath;
+    if (!sourcePath || !fs.existsSync(sourcePath)) {
+      throw new Error(
+        `Group ${groupId} has no untitled render to edit. Run with keepRenders to keep renders editable`
+      );
+    }
+
+    console.log(`[render-revisions] Editing group ${groupId}: ${instruction}`);
+    const { imageBuffer } = await editRoomImage(sourcePath, instruction, {
+      ...options,
+      roomName: options.roomName || group.roomName || undefined,
+      writeFile: false,
+    });
+    const nextRevision = (group.revisions?.length || 1) + 1;
+    const editedPath = revisionPath(group, nextRevision);
+    await fs.promises.writeFile(editedPath, imageBuffer);
+
+    const revision = await addRevision(group, {
+      path: editedPath,
+      source: "edit",
+      instruction: String(instruction).trim(),
+    });
+    await applyGroupRender(outputDir, manifest, group, editedPath);
+    await createManifestWriter(path.resolve(outputDir), manifest)();
+    console.log(`[render-revisions] Group ${groupId} is now at revision ${revision.revision}`);
+    return { groupId: group.groupId, revision, mergedPdfPath: manifest.mergedPdfPath || null };
+  });
+}
+
+/**
+ * Makes an earlier (or later) revision the group's render again.
+ */
+function restoreRevision(outputDir, groupId, revisionNumber) {
+  return withManifestLock(outputDir, async () => {
+    const { manifest, group } = await loadGroup(outputDir, groupId);
+    const revision = (group.revisions || []).find(
+      (entry) => entry.revision === Number(revisionNumber)
+    );
+    if (!revision) {
+      throw new Error(
+        `Group ${groupId} has no revision ${revisionNumber}. Available: ${
+          (group.revisions || []).map((entry) => entry.revision).join(", ") || "none"
+        }`
+      );
+    }
+    await applyGroupRender(outputDir, manifest, group, revision.path);
+    group.currentRevision = revision.revision;
+    await createManifestWriter(path.resolve(outputDir), manifest)();
+    console.log(`[render-revisions] Group ${groupId} restored to revision ${revision.revision}`);
+    return { groupId: group.groupId, revision, mergedPdfPath: manifest.mergedPdfPath || null };
+  });
+}
+
+/**
+ * @returns {Promise<{ groupId: number, currentRevision: number|null, revisions: object[] }>}
+ */
+async function listRevisions(outputDir, groupId) {
+  const { group } = await loadGroup(outputDir, groupId);
+  return {
+    groupId: group.groupId,
+    currentRevision: group.currentRevision ?? null,
+    revisions: group.revisions || [],
+  };
+}
+
+module.exports = {
+  withManifestLock,
+  applyGroupRender,
+  recordOriginalRevision,
+  addRevision,
+  editGroupRender,
+  restoreRevision,
+  listRevisions,
+};
+
+if (require.main === module) {
+  const [, , outputDir, groupId, command, ...rest] = process.argv;
+  const usage =
+    'Usage: node render-revisions.js <outputDir> <groupId> list | edit "<instruction>" [--provider=name] | restore <revision>';
+  if (!outputDir || !groupId || !command) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  const flags = rest.filter((arg) => arg.startsWith("--"));
+  const args = rest.filter((arg) => !arg.startsWith("--"));
+  const providerFlag = flags.find((flag) => flag.startsWith("--provider="));
+  let task;
+  if (command === "list") {
+    task = listRevisions(outputDir, groupId);
+  } else if (command === "edit" && args.length > 0) {
+    task = editGroupRender(outputDir, groupId, args.join(" "), {
+      provider: providerFlag ? providerFlag.slice("--provider=".length) : undefined,
+    });
+  } else if (command === "restore" && args.length === 1) {
+    task = restoreRevision(outputDir, groupId, Number(args[0]));
+  } else {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  task
+    .then((result) => {
+      console.log(JSON.stringify(result, null, 2));
+    })
+    .catch((error) => {
+      console.error(error.message || error);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,234 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { loadManifest, createManifestWriter } = require("./run-manifest");
+const { withManifestLock, applyGroupRender, addRevision } = require("./render-revisions");
+
+/**
+ * Scoring and selection of render variations.
+ *
+ * With `variations` > 1, page-processing.js renders each room several times (variation 1
+ * uses the brief's own camera, the others the CAMERA_VARIATIONS below) and keeps every
+ * untitled variant as `<base>-render-v<n>.png`. Each variant is scored on:
+ * - qa: the render-qa.js score (text, borders, panels)
+ * - sharpness: variance of the Laplacian, i.e. how much fine detail survived
+ * - palette: how closely the render's colours cover the board's swatch panel
+ * The best total is copied to `<base>-render.png`. selectRenderVariant swaps in another
+ * variant after the run and re-merges the PDF.
+ */
+
+const CAMERA_VARIATIONS = [
+  "CAMERA VARIATION: shoot from the opposite side of the room, looking back toward the main entry.",
+  "CAMERA VARIATION: use a wider-angle lens from a corner of the room so two full walls are visible.",
+  "CAMERA VARIATION: use a lower, eye-level seated viewpoint focused on the main furniture grouping.",
+  "CAMERA VARIATION: use a slightly elevated three-quarter view that shows more of the floor layout.",
+];
+const DEFAULT_WEIGHTS = { qa: 0.5, sharpness: 0.2, palette: 0.3 };
+
+function getCameraInstruction(variant) {
+  return variant > 1 ? CAMERA_VARIATIONS[(variant - 2) % CAMERA_VARIATIONS.length] : "";
+}
+
+/**
+ * Detail measure: standard deviation of a Laplacian-filtered greyscale copy, mapped to 0-1.
+ */
+async function measureSharpness(imageBuffer) {
+  const edges = await sharp(imageBuffer)
+    .greyscale()
+    .resize(512, 512, { fit: "inside" })
+    .convolve({ width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 })
+    .png()
+    .toBuffer();
+  // stats() reads the input image, so the filtered copy is measured separately
+  const { channels } = await sharp(edges).stats();
+  return round(1 - Math.exp(-channels[0].stdev / 12));
+}
+
+/**
+ * Dominant colours of a board's swatch panel (the lower-right quarter of the first page),
+ * ignoring the white paper around the swatches.
+ *
+ * @returns {Promise<number[][]>} Up to `count` RGB triples.
+ */
+async function extractBoardPalette(boardImage, count = 6) {
+  const image = sharp(boardImage);
+  const { width, height } = await image.metadata();
+  const pixels = await image
+    .extract({
+      left: Math.floor(width / 2),
+      top: Math.floor(height / 2),
+      width: Math.ceil(width / 2),
+      height: Math.ceil(height / 2),
+    })
+    .removeAlpha()
+    .resize(48, 48, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  // Bucket at 3 bits per channel and average the members of the biggest buckets
+  const buckets = new Map();
+  for (let offset = 0; offset < pixels.length; offset += 3) {
+    const rgb = [pixels[offset], pixels[offset + 1], pixels[offset + 2]];
+    if (Math.min(...rgb) >= 225) continue;
+    const key = rgb.map((value) => value >> 5).join(",");
+    const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+    bucket.count += 1;
+    rgb.forEach((value, channel) => {
+      bucket.sum[channel] += value;
+    });
+    buckets.set(key, bucket);
+  }
+  const minimum = (pixels.length / 3) * 0.01;
+  return [...buckets.values()]
+    .filter((bucket) => bucket.count >= minimum)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, count)
+    .map((bucket) => bucket.sum.map((value) => Math.round(value / bucket.count)));
+}
+
+/**
+ * Share of the palette that appears in the render: for each swatch colour, how close the
+ * nearest render pixel is. Returns null without a palette.
+ */
+async function measurePaletteMatch(imageBuffer, palette) {
+  if (!Array.isArray(palette) || palette.length === 0) {
+    return null;
+  }
+  const pixels = await sharp(imageBuffer)
+    .removeAlpha()
+    .resize(64, 64, { fit: "fill" })
+    .raw()
+    .toBuffer();
+  const scores = palette.map((colour) => {
+    let nearest = Infinity;
+    for (let offset = 0; offset < pixels.length; offset += 3) {
+      const distance = Math.hypot(
+        pixels[offset] - colour[0],
+        pixels[offset + 1] - colour[1],
+        pixels[offset + 2] - colour[2]
+      );
+      nearest = Math.min(nearest, distance);
+    }
+    // Within ~25 RGB units counts as a full match; 120+ as none
+    return Math.min(1, Math.max(0, (120 - nearest) / 95));
+  });
+  return round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+}
+
+/**
+ * @param {object} variant
+ * @param {Buffer} variant.imageBuffer
+ * @param {object|null} variant.qa - render-qa.js assessment, or null when QA is off.
+ * @param {number[][]} [variant.palette] - From extractBoardPalette.
+ * @param {object} [weights] - Relative weights of qa, sharpness and palette; a missing
+ *   measure (no QA, no palette) drops out and the others are rescaled.
+ * @returns {Promise<{ qa: number|null, sharpness: number, palette: number|null, total: number }>}
+ */
+async function scoreVariant({ imageBuffer, qa, palette }, weights = {}) {
+  const scores = {
+    qa: qa ? qa.score : null,
+    sharpness: await measureSharpness(imageBuffer),
+    palette: await measurePaletteMatch(imageBuffer, palette),
+  };
+  const activeWeights = { ...DEFAULT_WEIGHTS, ...weights };
+  let weighted = 0;
+  let totalWeight = 0;
+  Object.entries(scores).forEach(([name, score]) => {
+    if (score === null || !(activeWeights[name] > 0)) return;
+    weighted += score * activeWeights[name];
+    totalWeight += activeWeights[name];
+  });
+  return { ...scores, total: totalWeight > 0 ? round(weighted / totalWeight) : 0 };
+}
+
+/**
+ * Makes `variant` the selected render of a finished run's group: copies the untitled
+ * variant over the group's render, re-applies the title, rebuilds the group's contact sheet
+ * if it has one, and re-merges the PDF. A group that has been edited records the switch as
+ * a new revision.
+ *
+ * @param {string} outputDir - The run's output directory (holds run-manifest.json).
+ * @param {number} groupId
+ * @param {number} variant - 1-based variant number.
+ * @returns {Promise<{ groupId: number, selectedVariant: number, renderPath: string, mergedPdfPath: string|null }>}
+ */
+function selectRenderVariant(outputDir, groupId, variant) {
+  return withManifestLock(outputDir, async () => {
+    const manifest = await loadManifest(path.resolve(outputDir));
+    if (!manifest) {
+      throw new Error(`No run manifest found in ${outputDir}`);
+    }
+    const group = manifest.groups.find((entry) => entry.groupId === Number(groupId));
+    if (!group) {
+      throw new Error(`Group ${groupId} not found`);
+    }
+    const chosen = (group.variants || []).find((entry) => entry.variant === Number(variant));
+    if (!chosen) {
+      throw new Error(
+        `Group ${groupId} has no variant ${variant}. Available: ${
+          (group.variants || []).map((entry) => entry.variant).join(", ") || "none"
+        }`
+      );
+    }
+    if (!group.renderPath || !fs.existsSync(chosen.path)) {
+      throw new Error(`Variant ${variant} of group ${groupId} is no longer on disk`);
+    }
+
+    let renderPath = chosen.path;
+    if (Array.isArray(group.revisions) && group.revisions.length > 0) {
+      const revision = await addRevision(group, {
+        path: chosen.path,
+        source: "variant",
+        variant: chosen.variant,
+      });
+      renderPath = revision.path;
+    }
+    await applyGroupRender(outputDir, manifest, group, renderPath);
+    group.selectedVariant = chosen.variant;
+    group.selectedBy = "user";
+    console.log(`[render-variants] Group ${groupId} now uses variant ${chosen.variant}`);
+    await createManifestWriter(path.resolve(outputDir), manifest)();
+
+    return {
+      groupId: group.groupId,
+      selectedVariant: chosen.variant,
+      renderPath: group.renderPath,
+      mergedPdfPath: manifest.mergedPdfPath || null,
+    };
+  });
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  CAMERA_VARIATIONS,
+  getCameraInstruction,
+  measureSharpness,
+  extractBoardPalette,
+  measurePaletteMatch,
+  scoreVariant,
+  selectRenderVariant,
+};
+
+if (require.main === module) {
+  const [, , outputDir, groupId, variant] = process.argv;
+  if (!outputDir || !groupId || !variant) {
+    console.error("Usage: node render-variants.js <outputDir> <groupId> <variant>");
+    process.exit(1);
+  }
+
+  selectRenderVariant(outputDir, Number(groupId), Number(variant))
+    .then((result) => {
+      console.log(
+        `Group ${result.groupId} now uses variant ${result.selectedVariant}${
+          result.mergedPdfPath ? `; merged PDF updated at ${result.mergedPdfPath}` : ""
+        }`
+      );
+    })
+    .catch((error) => {
+      console.error(error.message || error);
+      process.exitCode = 1;
+    });
+}
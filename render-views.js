@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+
+/**
+ * Multi-angle renders of one room.
+ *
+ * View 1 is the group's regular render (the board's own camera, usually from the entry).
+ * Further views reuse the same description and geometry, with one of the VIEWPOINTS
+ * below appended to the render prompt. In the merged PDF the views follow each other as
+ * pages, or are tiled onto a single contact sheet.
+ */
+
+const VIEWPOINTS = {
+  "opposite-corner": {
+    label: "Opposite corner",
+    instruction:
+      "VIEWPOINT: place the camera in the corner diagonally opposite the main entry, looking back across the room so the entry wall is visible.",
+  },
+  "feature-wall": {
+    label: "Feature wall detail",
+    instruction:
+      "VIEWPOINT: a closer detail shot of the room's feature wall (the focal wall with the main furniture grouping, artwork or fireplace), framed straight on at standing eye level.",
+  },
+  overhead: {
+    label: "Overhead",
+    instruction:
+      "VIEWPOINT: a high overhead three-quarter view from just below the ceiling, looking down so the full furniture layout and floor finish are visible. Keep it a photographic render, not a plan.",
+  },
+  entry: {
+    label: "Entry",
+    instruction:
+      "VIEWPOINT: stand in the main entry doorway at eye level and look into the room.",
+  },
+};
+const VIEW_LAYOUTS = ["pages", "contact-sheet"];
+const MAX_VIEWS = Object.keys(VIEWPOINTS).length + 1;
+
+/**
+ * Viewpoints for views 2..N.
+ *
+ * @param {object} options
+ * @param {number} [options.views] - Total views per room, including the regular render.
+ * @param {string[]|string} [options.viewpoints] - VIEWPOINTS keys (array or comma list) to
+ *   use instead of the default order; implies `views` when that is not set.
+ * @returns {string[]|null} Viewpoint keys, or null when only the regular render is wanted.
+ */
+function resolveViewpoints({ views, viewpoints } = {}) {
+  let keys = Object.keys(VIEWPOINTS);
+  if (viewpoints !== undefined && viewpoints !== null && viewpoints !== "") {
+    keys = (Array.isArray(viewpoints) ? viewpoints : String(viewpoints).split(","))
+      .map((key) => String(key).trim())
+      .filter(Boolean);
+    const unknown = keys.filter((key) => !VIEWPOINTS[key]);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown viewpoint(s) ${unknown.join(", ")}. Expected any of: ${Object.keys(VIEWPOINTS).join(", ")}`
+      );
+    }
+    if (views === undefined || views === null) {
+      views = keys.length + 1;
+    }
+  }
+  if (views === undefined || views === null) {
+    return null;
+  }
+  if (!Number.isInteger(views) || views < 1 || views > MAX_VIEWS) {
+    throw new Error(`Invalid views "${views}". Expected 1-${MAX_VIEWS}`);
+  }
+  if (views - 1 > keys.length) {
+    throw new Error(`${views} views requested but only ${keys.length} viewpoint(s) given`);
+  }
+  return views > 1 ? keys.slice(0, views - 1) : null;
+}
+
+function assertViewLayout(viewLayout) {
+  if (viewLayout !== undefined && !VIEW_LAYOUTS.includes(viewLayout)) {
+    throw new Error(`Unknown view layout "${viewLayout}". Expected one of: ${VIEW_LAYOUTS.join(", ")}`);
+  }
+}
+
+function formatViewTitle(title, view) {
+  return `${title} — View ${view}`;
+}
+
+/**
+ * Tiles the (already titled) views of a room onto one page-sized image.
+ *
+ * @param {string[]} imagePaths - Views in order.
+ * @param {object} options
+ * @param {string} options.outputPath - PNG to write.
+ * @param {number} [options.columns] - Defaults to 1 for a single view, otherwise 2.
+ * @param {number} [options.tileWidth=960] - Width of each tile in px.
+ * @param {number} [options.gap=24] - Space between and around tiles in px.
+ * @param {string} [options.background="#ffffff"]
+ * @returns {Promise<string>} The output path.
+ */
+async function buildContactSheet(imagePaths, options = {}) {
+  if (!Array.isArray(imagePaths) || imagePaths.length === 0) {
+    throw new Error("At least one image is required for a contact sheet");
+  }
+  if (!options.outputPath) {
+    throw new Error("outputPath is required");
+  }
+  const columns = options.columns || (imagePaths.length > 1 ? 2 : 1);
+  const rows = Math.ceil(imagePaths.length / columns);
+  const tileWidth = options.tileWidth || 960;
+  const gap = options.gap ?? 24;
+
+  // Every tile takes the shape of the first view so the grid stays even
+  const first = await sharp(imagePaths[0]).metadata();
+  const tileHeight = Math.round((tileWidth * first.height) / first.width);
+  const tiles = await Promise.all(
+    imagePaths.map(async (imagePath, index) => ({
+      input: await sharp(imagePath).resize(tileWidth, tileHeight, { fit: "cover" }).png().toBuffer(),
+      left: gap + (index % columns) * (tileWidth + gap),
+      top: gap + Math.floor(index / columns) * (tileHeight + gap),
+    }))
+  );
+
+  await fs.promises.mkdir(path.dirname(options.outputPath), { recursive: true });
+  await sharp({
+    create: {
+      width: gap + columns * (tileWidth + gap),
+      height: gap + rows * (tileHeight + gap),
+      channels: 3,
+      background: options.background || "#ffffff",
+    },
+  })
+    .composite(tiles)
+    .png()
+    .toFile(options.outputPath);
+  console.log(
+    `[render-views] Contact sheet of ${imagePaths.length} view(s) saved to ${options.outputPath}`
+  );
+  return options.outputPath;
+}
+
+module.exports = {
+  VIEWPOINTS,
+  VIEW_LAYOUTS,
+  resolveViewpoints,
+  assertViewLayout,
+  formatViewTitle,
+  buildContactSheet,
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const outputArg = args.find((arg) => arg.startsWith("--output="));
+  const images = args.filter((arg) => !arg.startsWith("--"));
+  if (!outputArg || images.length === 0) {
+    console.error("Usage: node render-views.js <view1.png> [view2.png ...] --output=sheet.png");
+    process.exit(1);
+  }
+
+  buildContactSheet(images, { outputPath: outputArg.slice("--output=".length) }).catch((error) => {
+    console.error(error.message || error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,248 @@
+const { createAbortError, isAbortError, throwIfAborted } = require("./abort");
+
+/**
+ * Shared scheduler for outbound model API calls.
+ *
+ * Each provider ("openai", "gemini", ...) gets its own concurrency cap, independent of
+ * how many room groups pdfGenerate processes at once, and failed calls that look
+ * transient (408, 409, 429, 5xx, dropped connections) are retried with exponential backoff
+ * and full jitter. A Retry-After hint from the provider takes precedence over the
+ * computed delay.
+ */
+
+const DEFAULT_MAX_CONCURRENT = {
+  openai: parsePositiveInt(process.env.OPENAI_MAX_CONCURRENCY, 4),
+  gemini: parsePositiveInt(process.env.GEMINI_MAX_CONCURRENCY, 2),
+  // A single local GPU usually renders one image at a time
+  "stable-diffusion": parsePositiveInt(process.env.SD_MAX_CONCURRENCY, 1),
+  ollama: parsePositiveInt(process.env.OLLAMA_MAX_CONCURRENCY, 1),
+};
+const FALLBACK_MAX_CONCURRENT = 2;
+
+const DEFAULT_RETRY = {
+  maxRetries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+};
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+]);
+
+const limiters = new Map();
+
+/**
+ * Overrides the concurrency cap for one or more providers, e.g. { openai: 2, gemini: 1 }.
+ * Limits are process-wide, so they also apply to runs that are already in flight.
+ */
+function configureProviderConcurrency(limits = {}) {
+  Object.entries(limits).forEach(([provider, maxConcurrent]) => {
+    const parsed = parsePositiveInt(maxConcurrent, null);
+    if (!parsed) return;
+    getLimiter(provider).setMax(parsed);
+    console.log(`[scheduler] ${provider} concurrency limit set to ${parsed}`);
+  });
+}
+
+/**
+ * Runs `task` under the provider's concurrency cap, retrying transient failures.
+ *
+ * @param {string} provider - Provider name used to pick the concurrency limiter.
+ * @param {(attempt: number) => Promise<any>} task - Performs one attempt of the call.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts waiting, backoff and (if the task honors it) the call.
+ * @param {number} [options.maxRetries=5]
+ * @param {number} [options.baseDelayMs=1000]
+ * @param {number} [options.maxDelayMs=60000]
+ * @param {(info: { attempt: number, delayMs: number, status: number|null, error: Error }) => void} [options.onRetry]
+ * @param {string} [options.label] - Included in log lines.
+ */
+async function scheduleRequest(provider, task, options = {}) {
+  const { signal, onRetry, label = provider } = options;
+  const maxRetries = Number.isInteger(options.maxRetries) && options.maxRetries >= 0
+    ? options.maxRetries
+    : DEFAULT_RETRY.maxRetries;
+  const baseDelayMs = options.baseDelayMs ?? DEFAULT_RETRY.baseDelayMs;
+  const maxDelayMs = options.maxDelayMs ?? DEFAULT_RETRY.maxDelayMs;
+  const limiter = getLimiter(provider);
+
+  for (let attempt = 0; ; attempt += 1) {
+    await limiter.acquire(signal);
+    let failure;
+    try {
+      return await task(attempt);
+    } catch (error) {
+      failure = error;
+    } finally {
+      // The slot is never held while backing off
+      limiter.release();
+    }
+
+    if (isAbortError(failure) || (signal && signal.aborted)) {
+      throw failure;
+    }
+    if (attempt >= maxRetries || !isRetryableError(failure)) {
+      throw failure;
+    }
+
+    const hintedDelayMs = getRetryAfterMs(failure);
+    const backoffMs = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    const delayMs =
+      hintedDelayMs !== null
+        ? Math.min(maxDelayMs, hintedDelayMs)
+        : Math.round(Math.random() * backoffMs);
+    const status = getErrorStatus(failure);
+    console.warn(
+      `[scheduler] ${label} attempt ${attempt + 1} failed (${status ?? failure.code ?? "error"}: ${
+        failure.message
+      }); retrying in ${delayMs}ms`
+    );
+    if (typeof onRetry === "function") {
+      onRetry({ attempt: attempt + 1, delayMs, status, error: failure });
+    }
+    await sleep(delayMs, signal);
+  }
+}
+
+function getLimiter(provider) {
+  if (!limiters.has(provider)) {
+    limiters.set(
+      provider,
+      createLimiter(DEFAULT_MAX_CONCURRENT[provider] || FALLBACK_MAX_CONCURRENT)
+    );
+  }
+  return limiters.get(provider);
+}
+
+// Counting semaphore whose capacity can change at runtime
+function createLimiter(initialMax) {
+  let max = initialMax;
+  let active = 0;
+  const waiting = [];
+
+  function pump() {
+    while (active < max && waiting.length > 0) {
+      const next = waiting.shift();
+      active += 1;
+      next.resolve();
+    }
+  }
+
+  return {
+    setMax(value) {
+      max = value;
+      pump();
+    },
+    acquire(signal) {
+      throwIfAborted(signal);
+      return new Promise((resolve, reject) => {
+        const entry = {
+          resolve: () => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+            resolve();
+          },
+        };
+        const onAbort = () => {
+          const index = waiting.indexOf(entry);
+          if (index !== -1) waiting.splice(index, 1);
+          reject(createAbortError(signal));
+        };
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+        waiting.push(entry);
+        pump();
+      });
+    },
+    release() {
+      active = Math.max(0, active - 1);
+      pump();
+    },
+  };
+}
+
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status !== null) {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+  if (RETRYABLE_NETWORK_CODES.has(error.code) || RETRYABLE_NETWORK_CODES.has(error.cause?.code)) {
+    return true;
+  }
+  // OpenAI SDK connection failures carry no status
+  return error.constructor?.name === "APIConnectionError" ||
+    error.constructor?.name === "APIConnectionTimeoutError";
+}
+
+function getErrorStatus(error) {
+  if (!error) return null;
+  if (Number.isInteger(error.status)) return error.status;
+  if (Number.isInteger(error.statusCode)) return error.statusCode;
+  if (Number.isInteger(error.code) && error.code >= 100 && error.code < 600) return error.code;
+  // @google/genai errors only carry the status in the message: "got status: 429 Too Many Requests."
+  const match = /got status: (\d{3})/.exec(error.message || "");
+  return match ? Number(match[1]) : null;
+}
+
+function getRetryAfterMs(error) {
+  const headers = error.headers || error.response?.headers;
+  const readHeader = (name) => {
+    if (!headers) return null;
+    if (typeof headers.get === "function") return headers.get(name);
+    return headers[name] ?? headers[name.toLowerCase()] ?? null;
+  };
+
+  const retryAfterMsHeader = readHeader("retry-after-ms");
+  if (retryAfterMsHeader !== null && retryAfterMsHeader !== undefined) {
+    const retryAfterMs = Number(retryAfterMsHeader);
+    if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+      return retryAfterMs;
+    }
+  }
+
+  const retryAfter = readHeader("retry-after");
+  if (retryAfter !== null && retryAfter !== undefined && retryAfter !== "") {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  // Gemini reports the hint in the error body as RetryInfo: "retryDelay": "30s"
+  const match = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(error.message || "");
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+function sleep(ms, signal) {
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal));
+    };
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  scheduleRequest,
+  configureProviderConcurrency,
+  isRetryableError,
+  getRetryAfterMs,
+};
@@ -0,0 +1,171 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const CACHE_MODES = ["use", "refresh", "bypass"];
+
+/**
+ * On-disk, content-addressed cache for model responses (descriptions and renders).
+ *
+ * Entries live at `<dir>/<namespace>/<sha256>.<ext>`. Keys are derived from everything
+ * that influences the response (image bytes, prompt text, model, options), so a cache
+ * hit is only possible for an identical request.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir=".stagify-cache"] - Cache directory (resolved against cwd).
+ * @param {string} [options.mode="use"] - "use" reads and writes, "refresh" skips reads but
+ *   overwrites entries with fresh responses, "bypass" neither reads nor writes.
+ * @param {number} [options.maxEntries] - Evict least recently used entries beyond this count.
+ * @param {number} [options.maxSizeMB] - Evict least recently used entries beyond this total size.
+ * @param {object} [sharedStats] - Hit/miss counters to share with another view of the cache.
+ */
+function createResponseCache(options = {}, sharedStats = null) {
+  const dir = path.resolve(options.dir || process.env.STAGIFY_CACHE_DIR || ".stagify-cache");
+  const mode = options.mode || "use";
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`Unknown cache mode "${mode}". Expected one of: ${CACHE_MODES.join(", ")}`);
+  }
+  const maxEntries = Number.isInteger(options.maxEntries) && options.maxEntries > 0
+    ? options.maxEntries
+    : null;
+  const maxBytes = Number(options.maxSizeMB) > 0 ? Number(options.maxSizeMB) * 1024 * 1024 : null;
+  const stats = sharedStats || {};
+
+  function counters(namespace) {
+    if (!stats[namespace]) {
+      stats[namespace] = { hits: 0, misses: 0, writes: 0 };
+    }
+    return stats[namespace];
+  }
+
+  function entryPath(namespace, key, ext) {
+    return path.join(dir, namespace, `${key}.${ext}`);
+  }
+
+  /**
+   * Returns the cached bytes, or null on a miss (always null unless mode is "use").
+   */
+  async function get(namespace, key, ext) {
+    if (mode === "bypass") {
+      return null;
+    }
+    if (mode === "refresh") {
+      counters(namespace).misses += 1;
+      return null;
+    }
+    const filePath = entryPath(namespace, key, ext);
+    try {
+      const data = await fs.promises.readFile(filePath);
+      counters(namespace).hits += 1;
+      // Bump mtime so eviction treats this entry as recently used
+      const now = new Date();
+      await fs.promises.utimes(filePath, now, now).catch(() => {});
+      console.log(`[cache] Hit ${namespace}/${key.slice(0, 12)}`);
+      return data;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`[cache] Failed to read ${filePath}:`, error.message);
+      }
+      counters(namespace).misses += 1;
+      return null;
+    }
+  }
+
+  async function set(namespace, key, ext, data) {
+    if (mode === "bypass") {
+      return;
+    }
+    const filePath = entryPath(namespace, key, ext);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, filePath);
+      counters(namespace).writes += 1;
+      await prune();
+    } catch (error) {
+      // A cache write failure must never fail the pipeline
+      console.warn(`[cache] Failed to write ${filePath}:`, error.message);
+    }
+  }
+
+  async function prune() {
+    if (!maxEntries && !maxBytes) {
+      return;
+    }
+    const entries = [];
+    const namespaces = await fs.promises.readdir(dir).catch(() => []);
+    for (const namespace of namespaces) {
+      const namespaceDir = path.join(dir, namespace);
+      const files = await fs.promises.readdir(namespaceDir).catch(() => []);
+      for (const file of files) {
+        if (file.endsWith(".tmp")) continue;
+        const filePath = path.join(namespaceDir, file);
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        if (stat && stat.isFile()) {
+          entries.push({ filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+        }
+      }
+    }
+
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let count = entries.length;
+    let evicted = 0;
+    for (const entry of entries) {
+      const overCount = maxEntries && count > maxEntries;
+      const overSize = maxBytes && totalBytes > maxBytes;
+      if (!overCount && !overSize) break;
+      await fs.promises.unlink(entry.filePath).catch(() => {});
+      count -= 1;
+      totalBytes -= entry.size;
+      evicted += 1;
+    }
+    if (evicted > 0) {
+      console.log(`[cache] Evicted ${evicted} entr${evicted === 1 ? "y" : "ies"} from ${dir}`);
+    }
+  }
+
+  return {
+    dir,
+    mode,
+    get,
+    set,
+    getStats: () => JSON.parse(JSON.stringify(stats)),
+    // Same directory and counters with another mode, e.g. "refresh" for a forced regeneration
+    withMode: (nextMode) => createResponseCache({ ...options, mode: nextMode }, stats),
+  };
+}
+
+/**
+ * Hashes a request description into a cache key. Buffers are hashed by content and
+ * object keys are sorted, so logically equal requests always produce the same key.
+ */
+function computeCacheKey(parts) {
+  const hash = crypto.createHash("sha256");
+  hash.update(stableStringify(parts));
+  return hash.digest("hex");
+}
+
+function stableStringify(value) {
+  if (Buffer.isBuffer(value)) {
+    return JSON.stringify(`sha256:${crypto.createHash("sha256").update(value).digest("hex")}`);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = {
+  CACHE_MODES,
+  createResponseCache,
+  computeCacheKey,
+};
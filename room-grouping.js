@@ -0,0 +1,648 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+
+/**
+ * Grouping of board pages into rooms.
+ *
+ * groupPages() forms the groups from the heading detections. A grouping plan is the same
+ * grouping as an editable JSON document, keyed by PDF page numbers (not page image paths)
+ * so it survives re-rendering the pages:
+ *
+ *   {
+ *     "version": 1,
+ *     "status": "proposed" | "approved",
+ *     "pageNumbers": [5, 6, 7, 8],
+ *     "groups": [
+ *       { "roomName": "Primary Bedroom", "pages": [5, 6], "exclude": false,
+ *         "headings": [{ "page": 5, "rawText": "PRIMARY BEDROOM", "confidence": 91 }],
+ *         "thumbnails": ["thumbnails/page-05.jpg"] }
+ *     ]
+ *   }
+ *
+ * Renaming, merging, splitting and excluding are edits of `groups`: change `roomName`,
+ * move page numbers between groups, or set `exclude` (pages that are in no group are
+ * excluded too). Groups are rendered in the order they are listed.
+ *
+ * Grouping overrides are the partial, hand-written counterpart of a plan. They only
+ * describe the pages they mention, and every other page is grouped from its heading:
+ *
+ *   {
+ *     "rooms": [
+ *       { "pages": "6-7", "roomName": "Kitchen" },
+ *       { "pages": [9, "12-13"], "roomName": "Primary Bedroom" }
+ *     ],
+ *     "exclude": ["3", "10-11"]
+ *   }
+ *
+ * Each room becomes exactly one group, even when its pages are not consecutive. A room
+ * without a roomName keeps the heading of its first page.
+ */
+
+const PLAN_VERSION = 1;
+const PLAN_FILENAME = "grouping-plan.json";
+const THUMBNAIL_WIDTH = 320;
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+// Words at least this alike count as the same word in roomNameSimilarity
+const TOKEN_MATCH_SIMILARITY = 0.75;
+
+function normalizeRoomName(name) {
+  if (!name) return null;
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * How alike two room headings are, from 0 to 1: the mean of their edit-distance similarity
+ * and the overlap of their words (words a character or two apart count as shared, so OCR
+ * slips like "BEDRO0M" still match). Headings whose numbers differ ("Bedroom 2" and
+ * "Bedroom 3") never match.
+ *
+ * @returns {{ score: number, editSimilarity: number, tokenOverlap: number }}
+ */
+function roomNameSimilarity(a, b) {
+  const left = normalizeRoomName(a);
+  const right = normalizeRoomName(b);
+  if (!left || !right) {
+    return { score: 0, editSimilarity: 0, tokenOverlap: 0 };
+  }
+  if (left === right) {
+    return { score: 1, editSimilarity: 1, tokenOverlap: 1 };
+  }
+  const editSimilarity = 1 - editDistance(left, right) / Math.max(left.length, right.length);
+
+  const leftTokens = left.split(" ");
+  const rightTokens = right.split(" ");
+  const numbers = (tokens) => tokens.filter((token) => /^\d+$/.test(token)).sort().join(" ");
+  if (numbers(leftTokens) !== numbers(rightTokens)) {
+    return { score: 0, editSimilarity: round(editSimilarity), tokenOverlap: 0 };
+  }
+  const unmatched = rightTokens.slice();
+  let shared = 0;
+  leftTokens.forEach((token) => {
+    const index = unmatched.findIndex(
+      (candidate) =>
+        candidate === token ||
+        1 - editDistance(candidate, token) / Math.max(candidate.length, token.length) >=
+          TOKEN_MATCH_SIMILARITY
+    );
+    if (index !== -1) {
+      unmatched.splice(index, 1);
+      shared += 1;
+    }
+  });
+  const tokenOverlap = shared / (leftTokens.length + rightTokens.length - shared);
+  return {
+    score: round((editSimilarity + tokenOverlap) / 2),
+    editSimilarity: round(editSimilarity),
+    tokenOverlap: round(tokenOverlap),
+  };
+}
+
+// Levenshtein distance
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Groups pages whose headings match (see roomNameSimilarity). Each page is compared with
+ * the group before it, or with every group so far when `nonAdjacent` is set, and joins the
+ * best-scoring group that reaches `matchThreshold`. Pages without a heading stay alone.
+ * A facet page (detection `facet` set by room-taxonomy, e.g. "Bedding") joins the group of
+ * the page before it instead, unless its heading names a different room type.
+ *
+ * Every group keeps `matchScores`, one entry per page: { pageImage, candidateGroupId,
+ * comparedWith, score, editSimilarity, tokenOverlap, facet, matched }. For the page that
+ * started the group it records the best candidate that was rejected (null scores when there
+ * was none); facet pages record their facet and no scores.
+ *
+ * @param {string[]} pages - Page images in deck order.
+ * @param {object[]} detections - identifyRoomName results (with `normalized`), one per page.
+ * @param {object} [options]
+ * @param {number} [options.matchThreshold=0.8] - Similarity needed to join a group; 1 only joins identical headings.
+ * @param {boolean} [options.nonAdjacent=false] - Gather a room's pages from anywhere in the deck.
+ * @param {boolean} [options.attachFacets=true] - Attach facet pages to the room before them.
+ * @returns {object[]} Groups: { groupId, pageIndices, pages, roomName, normalizedName, source, matchScores }.
+ *   `source` is "ocr" here, "override" or "plan" for the other groupings; those set `renamed`
+ *   when a room name given by hand differs from the detected headings of its pages.
+ */
+function groupPages(pages, detections, options = {}) {
+  const matchThreshold = options.matchThreshold ?? DEFAULT_MATCH_THRESHOLD;
+  const groups = [];
+  pages.forEach((pagePath, index) => {
+    const detection = detections[index];
+    const normalized = detection?.normalized;
+    const candidates = options.nonAdjacent ? groups : groups.slice(-1);
+
+    const previousGroup = groups.find((group) => group.pageIndices.includes(index - 1));
+    if (options.attachFacets !== false && detection?.facet && previousGroup) {
+      const previousType = previousGroup.pageIndices
+        .map((memberIndex) => detections[memberIndex]?.roomType)
+        .find(Boolean);
+      if (!detection.roomType || !previousType || detection.roomType === previousType) {
+        console.log(
+          `[room-grouping] ${pagePath} is a ${detection.facet} page; attached to group ${previousGroup.groupId}`
+        );
+        previousGroup.pageIndices.push(index);
+        previousGroup.pages.push(pagePath);
+        previousGroup.matchScores.push({
+          pageImage: pagePath,
+          candidateGroupId: previousGroup.groupId,
+          comparedWith: null,
+          score: null,
+          editSimilarity: null,
+          tokenOverlap: null,
+          facet: detection.facet,
+          matched: true,
+        });
+        return;
+      }
+    }
+
+    let best = null;
+    if (normalized) {
+      candidates.forEach((group) => {
+        // Compared with every page already in the group, so a group can absorb spelling variants
+        group.pageIndices.forEach((memberIndex) => {
+          const memberName = detections[memberIndex]?.normalized;
+          if (!memberName) return;
+          const similarity = roomNameSimilarity(normalized, memberName);
+          if (!best || similarity.score > best.score) {
+            best = { ...similarity, group, comparedWith: memberName };
+          }
+        });
+      });
+    }
+    const matched = Boolean(best && best.score >= matchThreshold);
+    const matchScore = {
+      pageImage: pagePath,
+      candidateGroupId: best ? best.group.groupId : null,
+      comparedWith: best ? best.comparedWith : null,
+      score: best ? best.score : null,
+      editSimilarity: best ? best.editSimilarity : null,
+      tokenOverlap: best ? best.tokenOverlap : null,
+      facet: null,
+      matched,
+    };
+    if (best) {
+      console.log(
+        `[room-grouping] ${pagePath} ("${normalized}") vs group ${best.group.groupId} ("${best.comparedWith}"): score ${best.score} (edit ${best.editSimilarity}, tokens ${best.tokenOverlap}) -> ${matched ? "joined" : "new group"}`
+      );
+    }
+
+    if (matched) {
+      best.group.pageIndices.push(index);
+      best.group.pages.push(pagePath);
+      best.group.matchScores.push(matchScore);
+      return;
+    }
+    console.log(`[room-grouping] Creating group ${groups.length + 1} at index ${index} (${pagePath})`);
+    groups.push({
+      groupId: groups.length + 1,
+      pageIndices: [index],
+      pages: [pagePath],
+      roomName: detection?.roomName || detection?.rawText || null,
+      normalizedName: normalized,
+      source: "ocr",
+      matchScores: [matchScore],
+    });
+  });
+  return groups;
+}
+
+/**
+ * Parses page numbers given as a number, a "6-9" range, or an array of either.
+ *
+ * @returns {number[]} Page numbers in the order given.
+ */
+function parsePageRanges(spec) {
+  const parts = Array.isArray(spec) ? spec : [spec];
+  const pages = [];
+  parts.forEach((part) => {
+    const text = String(part).trim();
+    const range = text.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range) {
+      const first = Number(range[1]);
+      const last = Number(range[2]);
+      if (last < first) {
+        throw new Error(`Invalid page range "${text}"`);
+      }
+      for (let page = first; page <= last; page += 1) {
+        pages.push(page);
+      }
+    } else if (/^\d+$/.test(text)) {
+      pages.push(Number(text));
+    } else {
+      throw new Error(`Invalid page "${text}". Expected a page number or a range like 6-9`);
+    }
+  });
+  return pages;
+}
+
+/**
+ * Checks a grouping override document and expands its page ranges.
+ *
+ * @param {object} overrides - See the module comment.
+ * @returns {{ rooms: Array<{ pages: number[], roomName: string|null }>, exclude: number[] }}
+ */
+function parseGroupOverrides(overrides) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error("Grouping overrides must be an object with rooms and/or exclude");
+  }
+  const seen = new Map();
+  const claim = (page, label) => {
+    if (seen.has(page)) {
+      throw new Error(`Page ${page} is in both ${seen.get(page)} and ${label}`);
+    }
+    seen.set(page, label);
+  };
+
+  const rooms = (overrides.rooms || []).map((room, index) => {
+    const label = `room ${index + 1}${room && room.roomName ? ` (${room.roomName})` : ""}`;
+    if (!room || room.pages === undefined || room.pages === null) {
+      throw new Error(`Override ${label} must list its pages`);
+    }
+    if (room.roomName !== undefined && room.roomName !== null && typeof room.roomName !== "string") {
+      throw new Error(`Override ${label} has a roomName that is not a string`);
+    }
+    const pages = parsePageRanges(room.pages);
+    if (pages.length === 0) {
+      throw new Error(`Override ${label} must list its pages`);
+    }
+    pages.forEach((page) => claim(page, `override ${label}`));
+    return { pages, roomName: (room.roomName && room.roomName.trim()) || null };
+  });
+  const exclude = overrides.exclude === undefined ? [] : parsePageRanges(overrides.exclude);
+  exclude.forEach((page) => claim(page, "the excluded pages"));
+  return { rooms, exclude };
+}
+
+async function loadGroupOverrides(overridesPath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(overridesPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid grouping overrides ${overridesPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Groups pages with the overrides taking precedence over the heading detections. Pages the
+ * overrides do not mention are grouped as groupPages does; an overridden or excluded page
+ * ends the run of consecutive pages around it.
+ *
+ * @param {object} overrides - Override document (parsed or not).
+ * @param {object} params
+ * @param {string[]} params.pages - Page images being processed.
+ * @param {number[]} params.pageNumbers - PDF page number of each page image.
+ * @param {object[]} params.detections - Heading detections, one per page.
+ * @param {object} [params.matchOptions] - groupPages options for the pages not overridden.
+ * @returns {object[]} Groups ordered by their first page; overridden ones have `source: "override"`.
+ */
+function applyGroupOverrides(overrides, { pages, pageNumbers, detections, matchOptions = {} }) {
+  const { rooms, exclude } = parseGroupOverrides(overrides);
+  const indexOfPage = (page) => {
+    const index = pageNumbers.indexOf(page);
+    if (index === -1) {
+      throw new Error(
+        `Grouping overrides mention page ${page}, which is not part of this run (pages ${pageNumbers[0]}-${
+          pageNumbers[pageNumbers.length - 1]
+        })`
+      );
+    }
+    return index;
+  };
+
+  const claimed = new Set(exclude.map(indexOfPage));
+  const groups = rooms.map((room) => {
+    const pageIndices = room.pages.map(indexOfPage);
+    pageIndices.forEach((index) => claimed.add(index));
+    const heading = detections[pageIndices[0]];
+    const roomName = room.roomName || heading?.roomName || heading?.rawText || null;
+    return {
+      pageIndices,
+      pages: pageIndices.map((index) => pages[index]),
+      roomName,
+      normalizedName: normalizeRoomName(roomName),
+      source: "override",
+      renamed: isRenamed(room.roomName, pageIndices, detections),
+    };
+  });
+
+  // The remaining pages are grouped by heading, in runs of consecutive pages unless
+  // non-adjacent pages may be gathered anyway
+  let run = [];
+  const flushRun = () => {
+    if (run.length === 0) return;
+    const runGroups = groupPages(
+      run.map((index) => pages[index]),
+      run.map((index) => detections[index]),
+      matchOptions
+    ).map((group) => ({ ...group, pageIndices: group.pageIndices.map((local) => run[local]) }));
+    // Group ids are reassigned below, so the match scores point at the groups themselves
+    runGroups.forEach((group) => {
+      group.matchScores = group.matchScores.map((matchScore) => ({
+        ...matchScore,
+        candidateGroupId: runGroups.find((entry) => entry.groupId === matchScore.candidateGroupId) || null,
+      }));
+    });
+    groups.push(...runGroups);
+    run = [];
+  };
+  pages.forEach((_, index) => {
+    if (!claimed.has(index)) {
+      run.push(index);
+    } else if (!matchOptions.nonAdjacent) {
+      flushRun();
+    }
+  });
+  flushRun();
+
+  if (groups.length === 0) {
+    throw new Error("Grouping overrides exclude every page");
+  }
+  groups
+    .sort((a, b) => Math.min(...a.pageIndices) - Math.min(...b.pageIndices))
+    .forEach((group, index) => {
+      group.groupId = index + 1;
+    });
+  groups.forEach((group) => {
+    if (group.matchScores) {
+      group.matchScores.forEach((matchScore) => {
+        matchScore.candidateGroupId = matchScore.candidateGroupId
+          ? matchScore.candidateGroupId.groupId
+          : null;
+      });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Groups matching `selectors`: group ids (numbers or numeric strings) or room names,
+ * compared after normalizeRoomName. Throws on a selector that matches nothing.
+ */
+function selectGroups(groups, selectors) {
+  const selected = new Set();
+  selectors.forEach((selector) => {
+    const text = String(selector).trim();
+    const matches = /^\d+$/.test(text)
+      ? groups.filter((group) => group.groupId === Number(text))
+      : groups.filter(
+          (group) =>
+            normalizeRoomName(text) &&
+            (group.normalizedName === normalizeRoomName(text) ||
+              normalizeRoomName(group.roomName) === normalizeRoomName(text))
+        );
+    if (matches.length === 0) {
+      throw new Error(
+        `No group matches "${text}". Groups: ${groups
+          .map((group) => `${group.groupId} (${group.roomName || "unidentified"})`)
+          .join(", ")}`
+      );
+    }
+    matches.forEach((group) => selected.add(group));
+  });
+  return Array.from(selected);
+}
+
+/**
+ * Writes the proposed grouping and a thumbnail of every page to `outputDir` for review.
+ *
+ * @param {object} params
+ * @param {object[]} params.groups - From groupPages.
+ * @param {object[]} params.detections - Heading detections, one per page.
+ * @param {number[]} params.pageNumbers - PDF page number of each page image.
+ * @param {string[]} params.pages - Page images, parallel to pageNumbers.
+ * @param {string} params.outputDir
+ * @returns {Promise<{ plan: object, planPath: string }>}
+ */
+async function writeProposedPlan({ groups, detections, pageNumbers, pages, outputDir }) {
+  const thumbnailDir = path.join(outputDir, "thumbnails");
+  await fs.promises.mkdir(thumbnailDir, { recursive: true });
+  const padLength = String(Math.max(...pageNumbers)).length;
+  const thumbnails = await Promise.all(
+    pages.map(async (pagePath, index) => {
+      const filename = `page-${String(pageNumbers[index]).padStart(padLength, "0")}.jpg`;
+      await sharp(pagePath)
+        .resize({ width: THUMBNAIL_WIDTH })
+        .jpeg({ quality: 80 })
+        .toFile(path.join(thumbnailDir, filename));
+      return `thumbnails/${filename}`;
+    })
+  );
+
+  const plan = {
+    version: PLAN_VERSION,
+    status: "proposed",
+    pageNumbers,
+    groups: groups.map((group) => ({
+      roomName: group.roomName,
+      roomType: group.roomType ?? null,
+      pages: group.pageIndices.map((index) => pageNumbers[index]),
+      exclude: false,
+      headings: group.pageIndices.map((index) => ({
+        page: pageNumbers[index],
+        rawText: detections[index]?.rawText || null,
+        roomName: detections[index]?.roomName || null,
+        confidence: detections[index]?.confidence ?? null,
+        facet: detections[index]?.facet ?? null,
+        // How well the heading matched the group, to spot doubtful merges
+        matchScore:
+          (group.matchScores || []).find((entry) => entry.pageImage === pages[index])?.score ?? null,
+      })),
+      thumbnails: group.pageIndices.map((index) => thumbnails[index]),
+    })),
+  };
+  const planPath = await saveGroupingPlan(outputDir, plan);
+  return { plan, planPath };
+}
+
+/**
+ * Checks an (edited) plan. Every listed page must be one of `pageNumbers` and appear in
+ * at most one group, and at least one group must remain.
+ *
+ * @returns {object} The plan, normalised (page numbers as numbers, `exclude` as boolean).
+ */
+function validateGroupingPlan(plan, pageNumbers = plan && plan.pageNumbers) {
+  if (!plan || typeof plan !== "object" || !Array.isArray(plan.groups)) {
+    throw new Error("Grouping plan must be an object with a groups array");
+  }
+  const known = new Set(pageNumbers || []);
+  const seen = new Map();
+  const groups = plan.groups.map((group, index) => {
+    const label = `Group ${index + 1}${group && group.roomName ? ` (${group.roomName})` : ""}`;
+    if (!group || !Array.isArray(group.pages) || group.pages.length === 0) {
+      throw new Error(`${label} must list at least one page`);
+    }
+    if (group.roomName !== undefined && group.roomName !== null && typeof group.roomName !== "string") {
+      throw new Error(`${label} has a roomName that is not a string`);
+    }
+    if (group.roomType !== undefined && group.roomType !== null && typeof group.roomType !== "string") {
+      throw new Error(`${label} has a roomType that is not a string`);
+    }
+    const pages = group.pages.map(Number);
+    pages.forEach((page) => {
+      if (!Number.isInteger(page) || (known.size > 0 && !known.has(page))) {
+        throw new Error(`${label} lists page ${page}, which is not part of this run`);
+      }
+      if (seen.get(page) === label) {
+        throw new Error(`${label} lists page ${page} twice`);
+      }
+      if (seen.has(page)) {
+        throw new Error(`Page ${page} is in both ${seen.get(page)} and ${label}`);
+      }
+      seen.set(page, label);
+    });
+    return { ...group, pages, exclude: Boolean(group.exclude) };
+  });
+  if (!groups.some((group) => !group.exclude)) {
+    throw new Error("Grouping plan excludes every group");
+  }
+  return { ...plan, version: plan.version || PLAN_VERSION, groups };
+}
+
+/**
+ * Replaces the groups of a proposed plan with edited ones (renamed, merged, split or
+ * excluded), keeping the proposal's page list and each page's detected heading and thumbnail.
+ *
+ * @param {object} proposal - The plan writeProposedPlan wrote.
+ * @param {object} edited - An object with the edited `groups`.
+ * @returns {object} The revised plan, still "proposed".
+ */
+function reviseGroupingPlan(proposal, edited) {
+  const validated = validateGroupingPlan(
+    { ...edited, version: proposal.version, pageNumbers: proposal.pageNumbers, status: "proposed" },
+    proposal.pageNumbers
+  );
+  const headings = new Map();
+  const thumbnails = new Map();
+  proposal.groups.forEach((group) => {
+    (group.headings || []).forEach((heading) => headings.set(heading.page, heading));
+    group.pages.forEach((page, index) => thumbnails.set(page, (group.thumbnails || [])[index]));
+  });
+  return {
+    ...validated,
+    groups: validated.groups.map((group) => ({
+      roomName: group.roomName ?? null,
+      roomType: group.roomType ?? null,
+      pages: group.pages,
+      exclude: group.exclude,
+      headings: group.pages.map((page) => headings.get(page)).filter(Boolean),
+      thumbnails: group.pages.map((page) => thumbnails.get(page)).filter(Boolean),
+    })),
+  };
+}
+
+/**
+ * Turns a plan into pipeline groups. Excluded groups, and pages in no group, are left out.
+ * A renamed group whose room type is one its headings name gets its type from the new
+ * name instead (see resolveGroupRoomType), since that type was proposed for the old name.
+ *
+ * @param {object} plan
+ * @param {object} params
+ * @param {string[]} params.pages - Page images being processed.
+ * @param {number[]} params.pageNumbers - PDF page number of each page image.
+ * @param {object[]} [params.detections] - Heading detections, one per page; a room name that
+ *   repeats a detected heading of the group does not count as a rename.
+ * @returns {object[]} Groups in the shape groupPages returns, with `source: "plan"`.
+ */
+function applyGroupingPlan(plan, { pages, pageNumbers, detections = [] }) {
+  const validated = validateGroupingPlan(plan, pageNumbers);
+  const groups = [];
+  validated.groups.forEach((entry) => {
+    if (entry.exclude) return;
+    const pageIndices = entry.pages.map((page) => pageNumbers.indexOf(page));
+    const renamed = isRenamed(entry.roomName, pageIndices, detections);
+    const proposedType =
+      Boolean(entry.roomType) &&
+      pageIndices.some((index) => detections[index]?.roomType === entry.roomType);
+    groups.push({
+      groupId: groups.length + 1,
+      pageIndices,
+      pages: pageIndices.map((index) => pages[index]),
+      roomName: entry.roomName || null,
+      normalizedName: normalizeRoomName(entry.roomName),
+      roomType: (renamed && proposedType) || !entry.roomType ? null : entry.roomType,
+      source: "plan",
+      renamed,
+    });
+  });
+  return groups;
+}
+
+// A name given by hand only replaces the printed heading when it differs from the detected
+// headings of the group's pages, so approving an unedited proposal changes nothing
+function isRenamed(roomName, pageIndices, detections) {
+  const normalized = normalizeRoomName(roomName);
+  if (!normalized) {
+    return false;
+  }
+  return !pageIndices.some((index) => {
+    const detection = detections[index];
+    return (
+      detection &&
+      (normalizeRoomName(detection.roomName) === normalized ||
+        normalizeRoomName(detection.rawText) === normalized)
+    );
+  });
+}
+
+function getGroupingPlanPath(outputDir) {
+  return path.join(outputDir, PLAN_FILENAME);
+}
+
+async function loadGroupingPlan(planPath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(planPath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`No grouping plan found at ${planPath}`);
+    }
+    throw new Error(`Invalid grouping plan ${planPath}: ${error.message}`);
+  }
+}
+
+async function saveGroupingPlan(outputDir, plan) {
+  const planPath = getGroupingPlanPath(outputDir);
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  await fs.promises.writeFile(planPath, JSON.stringify(plan, null, 2));
+  return planPath;
+}
+
+module.exports = {
+  DEFAULT_MATCH_THRESHOLD,
+  normalizeRoomName,
+  roomNameSimilarity,
+  groupPages,
+  selectGroups,
+  parsePageRanges,
+  parseGroupOverrides,
+  loadGroupOverrides,
+  applyGroupOverrides,
+  writeProposedPlan,
+  validateGroupingPlan,
+  reviseGroupingPlan,
+  applyGroupingPlan,
+  getGroupingPlanPath,
+  loadGroupingPlan,
+  saveGroupingPlan,
+};
@@ -0,0 +1,227 @@
+const { normalizeRoomName, roomNameSimilarity } = require("./room-grouping");
+
+/**
+ * Canonical room types and facet headings of design boards.
+ *
+ * A room type is what a heading names, whatever the designer called it: "MASTER SUITE",
+ * "Owner's Bedroom" and "Primary Bedroom" are all `primary-bedroom`. Facet headings
+ * ("Bedding", "Lighting", "Artwork") name a sub-page of the room before them rather than
+ * a room of their own; a heading can carry both ("Kitchen Lighting").
+ *
+ * Synonyms are matched as whole words of the normalized heading, the longest first and,
+ * between equally long ones, the last in the heading ("Hall Bath" is a bathroom). Without
+ * a whole-word match the heading is compared fuzzily, to absorb OCR slips.
+ */
+
+const ROOM_TYPES = {
+  "primary-bedroom": {
+    label: "Primary Bedroom",
+    synonyms: [
+      "primary bedroom",
+      "master bedroom",
+      "main bedroom",
+      "owners bedroom",
+      "owner s bedroom",
+      "primary suite",
+      "master suite",
+      "owners suite",
+    ],
+  },
+  bedroom: {
+    label: "Bedroom",
+    synonyms: ["bedroom", "guest bedroom", "guest room", "kids bedroom", "bunk room"],
+  },
+  nursery: { label: "Nursery", synonyms: ["nursery", "baby room"] },
+  "primary-bathroom": {
+    label: "Primary Bathroom",
+    synonyms: [
+      "primary bathroom",
+      "primary bath",
+      "master bathroom",
+      "master bath",
+      "ensuite",
+      "en suite",
+    ],
+  },
+  bathroom: {
+    label: "Bathroom",
+    synonyms: ["bathroom", "bath", "guest bath", "kids bath", "shower room", "jack and jill"],
+  },
+  "powder-room": {
+    label: "Powder Room",
+    synonyms: ["powder room", "powder", "half bath", "wc", "water closet"],
+  },
+  kitchen: { label: "Kitchen", synonyms: ["kitchen", "kitchenette", "galley"] },
+  pantry: { label: "Pantry", synonyms: ["pantry", "butler s pantry", "butlers pantry", "scullery"] },
+  "dining-room": {
+    label: "Dining Room",
+    synonyms: ["dining room", "dining", "breakfast nook", "nook"],
+  },
+  "living-room": {
+    label: "Living Room",
+    synonyms: ["living room", "living", "lounge", "sitting room", "drawing room"],
+  },
+  "family-room": {
+    label: "Family Room",
+    synonyms: ["family room", "great room", "den", "rec room", "playroom", "play room"],
+  },
+  "media-room": {
+    label: "Media Room",
+    synonyms: ["media room", "theater", "theatre", "cinema", "tv room"],
+  },
+  office: { label: "Office", synonyms: ["office", "home office", "study", "library", "workspace"] },
+  entry: { label: "Entry", synonyms: ["entry", "entryway", "foyer", "vestibule", "front entry"] },
+  hallway: {
+    label: "Hallway",
+    synonyms: ["hallway", "hall", "corridor", "landing", "stair", "stairs", "staircase"],
+  },
+  mudroom: { label: "Mudroom", synonyms: ["mudroom", "mud room", "drop zone"] },
+  laundry: { label: "Laundry Room", synonyms: ["laundry", "laundry room", "utility room", "utility"] },
+  closet: { label: "Closet", synonyms: ["closet", "walk in closet", "wardrobe", "dressing room"] },
+  gym: { label: "Gym", synonyms: ["gym", "home gym", "fitness room", "exercise room"] },
+  outdoor: {
+    label: "Outdoor",
+    synonyms: ["patio", "terrace", "balcony", "deck", "porch", "veranda", "outdoor", "courtyard"],
+  },
+};
+
+const FACETS = {
+  bedding: ["bedding", "bed linens", "linens"],
+  lighting: ["lighting", "lights", "light fixtures", "lamps"],
+  artwork: ["artwork", "wall art", "gallery wall"],
+  "window-treatments": [
+    "window treatments",
+    "window treatment",
+    "drapery",
+    "draperies",
+    "curtains",
+    "blinds",
+    "shades",
+  ],
+  rugs: ["rugs", "rug", "area rug"],
+  textiles: ["textiles", "fabrics", "upholstery", "pillows", "throw pillows"],
+  accessories: ["accessories", "decor", "styling", "objects", "accents"],
+  furniture: ["furniture", "furnishings", "seating"],
+  hardware: ["hardware", "plumbing", "fixtures", "plumbing fixtures"],
+  finishes: ["finishes", "materials", "tile", "tiles", "flooring", "wallpaper", "paint", "palette"],
+  plants: ["plants", "greenery", "florals"],
+};
+
+// Whole-heading similarity needed for a fuzzy synonym match
+const FUZZY_SYNONYM_SIMILARITY = 0.85;
+
+const roomSynonyms = listSynonyms(
+  Object.fromEntries(Object.entries(ROOM_TYPES).map(([key, type]) => [key, type.synonyms]))
+);
+const facetSynonyms = listSynonyms(FACETS);
+
+/**
+ * Classifies a room heading.
+ *
+ * @param {string|null} heading - Heading as read or cleaned.
+ * @returns {{ roomType: string|null, facet: string|null }} ROOM_TYPES and FACETS keys.
+ */
+function classifyHeading(heading) {
+  const normalized = normalizeRoomName(heading);
+  if (!normalized) {
+    return { roomType: null, facet: null };
+  }
+  return {
+    roomType: findSynonym(normalized, roomSynonyms),
+    facet: findSynonym(normalized, facetSynonyms),
+  };
+}
+
+function getRoomTypeLabel(roomType) {
+  return (roomType && ROOM_TYPES[roomType]?.label) || null;
+}
+
+/**
+ * Room type of a group: as set in a grouping plan, else from its room name when that names
+ * one (so hand-given names win), otherwise from its first page whose heading names a room.
+ */
+function resolveGroupRoomType(group, detections) {
+  if (group.roomType) {
+    if (!ROOM_TYPES[group.roomType]) {
+      throw new Error(
+        `Unknown room type "${group.roomType}" for group ${group.groupId}; expected one of ${Object.keys(ROOM_TYPES).join(", ")}`
+      );
+    }
+    return group.roomType;
+  }
+  const fromName = classifyHeading(group.roomName).roomType;
+  if (fromName) {
+    return fromName;
+  }
+  const page = group.pageIndices.find((index) => detections[index]?.roomType);
+  return page === undefined ? null : detections[page].roomType;
+}
+
+/**
+ * Checks the room types a grouping plan gives its groups, so a typo fails when the plan is
+ * loaded or submitted rather than once its pages have been read.
+ */
+function validatePlanRoomTypes(plan) {
+  plan.groups.forEach((group, index) => {
+    if (group.roomType && !ROOM_TYPES[group.roomType]) {
+      throw new Error(
+        `Group ${index + 1}${group.roomName ? ` (${group.roomName})` : ""} has an unknown roomType "${
+          group.roomType
+        }"; expected one of ${Object.keys(ROOM_TYPES).join(", ")}`
+      );
+    }
+  });
+}
+
+function listSynonyms(table) {
+  return Object.entries(table).flatMap(([key, synonyms]) =>
+    synonyms.map((synonym) => ({ key, synonym }))
+  );
+}
+
+function findSynonym(normalized, synonyms) {
+  const padded = ` ${normalized} `;
+  let exact = null;
+  synonyms.forEach(({ key, synonym }) => {
+    const position = padded.lastIndexOf(` ${synonym} `);
+    if (
+      position !== -1 &&
+      (!exact ||
+        synonym.length > exact.length ||
+        (synonym.length === exact.length && position > exact.position))
+    ) {
+      exact = { key, length: synonym.length, position };
+    }
+  });
+  if (exact) {
+    return exact.key;
+  }
+  let best = null;
+  synonyms.forEach(({ key, synonym }) => {
+    const { score } = roomNameSimilarity(normalized, synonym);
+    if (score >= FUZZY_SYNONYM_SIMILARITY && (!best || score > best.score)) {
+      best = { key, score };
+    }
+  });
+  return best ? best.key : null;
+}
+
+module.exports = {
+  ROOM_TYPES,
+  FACETS,
+  classifyHeading,
+  getRoomTypeLabel,
+  resolveGroupRoomType,
+  validatePlanRoomTypes,
+};
+
+if (require.main === module) {
+  const headings = process.argv.slice(2);
+  if (headings.length === 0) {
+    console.error('Usage: node room-taxonomy.js "<heading>" ["<heading>" ...]');
+    process.exit(1);
+  }
+  headings.forEach((heading) => {
+    console.log(JSON.stringify({ heading, ...classifyHeading(heading) }));
+  });
+}
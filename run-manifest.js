@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MANIFEST_FILENAME = "run-manifest.json";
+const MANIFEST_VERSION = 1;
+
+/**
+ * Run manifests checkpoint a pdfGenerate run in its output directory so an
+ * interrupted run can be resumed. The manifest records, per stage:
+ * - pages: the rendered page PNGs
+ * - textLayers: the PDF text layer of each page, when read (see pdfToPng.js)
+ * - detections: room heading detections per processed page
+ * - groups: per room group, its status ("pending", "described", "done", "failed"),
+ *   description JSON path, render path, layout diagram and blockout model paths and last error
+ * - groupingPlan: the approved grouping plan, if the grouping was reviewed (see room-grouping.js)
+ * A manifest is only reused when the source PDF and the settings that affect
+ * page rendering and selection are unchanged.
+ */
+
+function getManifestPath(outputDir) {
+  return path.join(outputDir, MANIFEST_FILENAME);
+}
+
+async function fingerprintFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", resolve)
+      .on("error", reject);
+  });
+  return hash.digest("hex");
+}
+
+function createManifest({ pdfPath, pdfHash, settings }) {
+  const now = new Date().toISOString();
+  return {
+    version: MANIFEST_VERSION,
+    createdAt: now,
+    updatedAt: now,
+    pdf: { path: pdfPath, sha256: pdfHash },
+    settings,
+    pages: [],
+    textLayers: [],
+    detections: [],
+    groups: [],
+    groupingPlan: null,
+    mergedPdfPath: null,
+  };
+}
+
+async function loadManifest(outputDir) {
+  const manifestPath = getManifestPath(outputDir);
+  try {
+    const text = await fs.promises.readFile(manifestPath, "utf8");
+    const manifest = JSON.parse(text);
+    if (manifest.version !== MANIFEST_VERSION) {
+      console.warn(
+        `[run-manifest] Ignoring ${manifestPath}: unsupported version ${manifest.version}`
+      );
+      return null;
+    }
+    return manifest;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    console.warn(`[run-manifest] Ignoring unreadable manifest ${manifestPath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Returns null when `manifest` can be resumed for this PDF and settings, otherwise
+ * a short reason it cannot.
+ */
+function getIncompatibilityReason(manifest, { pdfHash, settings }) {
+  if (!manifest) {
+    return "no manifest found";
+  }
+  if (manifest.pdf?.sha256 !== pdfHash) {
+    return "the PDF has changed";
+  }
+  const changed = Object.keys(settings).filter(
+    (key) => JSON.stringify(manifest.settings?.[key]) !== JSON.stringify(settings[key])
+  );
+  if (changed.length > 0) {
+    return `settings changed (${changed.join(", ")})`;
+  }
+  return null;
+}
+
+/**
+ * Returns a save function that writes the manifest atomically. Calls are chained so
+ * concurrent workers never interleave writes; the returned promise never rejects.
+ */
+function createManifestWriter(outputDir, manifest) {
+  const manifestPath = getManifestPath(outputDir);
+  const tempPath = `${manifestPath}.tmp`;
+  let pending = Promise.resolve();
+
+  return function saveManifest() {
+    pending = pending.then(async () => {
+      manifest.updatedAt = new Date().toISOString();
+      try {
+        await fs.promises.mkdir(outputDir, { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(manifest, null, 2));
+        await fs.promises.rename(tempPath, manifestPath);
+      } catch (error) {
+        console.warn(`[run-manifest] Failed to write ${manifestPath}:`, error.message);
+      }
+    });
+    return pending;
+  };
+}
+
+function filesExist(filePaths) {
+  return (
+    Array.isArray(filePaths) &&
+    filePaths.length > 0 &&
+    filePaths.every((filePath) => filePath && fs.existsSync(filePath))
+  );
+}
+
+module.exports = {
+  MANIFEST_FILENAME,
+  getManifestPath,
+  fingerprintFile,
+  createManifest,
+  loadManifest,
+  getIncompatibilityReason,
+  createManifestWriter,
+  filesExist,
+};
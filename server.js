@@ -2,7 +2,32 @@ const express = require("express");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
-const { pdfGenerate } = require("./PDFGenerate");
+const {
+  createJob,
+  getJob,
+  waitForJob,
+  removeJob,
+  cancelJob,
+  regenerateJob,
+  approveJob,
+  serializeJob,
+  subscribeToJob,
+  isJobFinished,
+} = require("./jobs");
+const { resolveOutputSize, assertFit } = require("./output-size");
+const { loadManifest } = require("./run-manifest");
+const { CACHE_MODES } = require("./response-cache");
+const { selectRenderVariant } = require("./render-variants");
+const { resolveViewpoints, assertViewLayout } = require("./render-views");
+const { editGroupRender, restoreRevision } = require("./render-revisions");
+const {
+  selectGroups,
+  parseGroupOverrides,
+  reviseGroupingPlan,
+  loadGroupingPlan,
+  saveGroupingPlan,
+} = require("./room-grouping");
+const { validatePlanRoomTypes } = require("./room-taxonomy");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -40,57 +65,611 @@ app.get("/health", (req, res) => {
   res.json({ status: "ok", timestamp: new Date().toISOString() });
 });
 
-// Main processing endpoint
-app.post("/process", upload.single("pdf"), async (req, res) => {
+// Translate query parameters into pdfGenerate options
+function parseProcessOptions(query) {
+  return {
+    skipConversionPages: query.skipConversion ? parseInt(query.skipConversion) : 4,
+    skipPages: query.skip ? parseInt(query.skip) : 0,
+    concurrency: query.concurrency ? parseInt(query.concurrency) : 2,
+    continueOnError: query.continue === "true",
+    mergeOutput: query.merge !== "false", // Default to true
+    cache: { mode: query.cache || "use" },
+    pdfOptions: {
+      dpi: query.dpi ? parseInt(query.dpi) : 110,
+    },
+    renderSize: query.size || undefined,
+    renderAspectRatio: query.aspectRatio || undefined,
+    renderFit: query.fit || undefined,
+    variations: query.variations ? parseInt(query.variations) : 1,
+    views: query.views ? Number(query.views) : undefined,
+    viewpoints: query.viewpoints || undefined,
+    viewLayout: query.viewLayout || undefined,
+    // Renders stay editable until the job expires
+    keepRenders: true,
+    groupingOptions: {
+      ...(query.matchThreshold ? { matchThreshold: Number(query.matchThreshold) } : {}),
+      nonAdjacent: query.groupNonAdjacent === "true",
+      attachFacets: query.attachFacets !== "false",
+    },
+    roomTypeTitles: query.roomTypeTitles === "true",
+    useTextLayer: query.textLayer !== "false",
+    ...(query.ocrWorkers ? { ocrPool: { size: parseInt(query.ocrWorkers) } } : {}),
+    // Pause after grouping until the grouping is approved (POST /jobs/:id/grouping/approve)
+    reviewGrouping: query.review === "true",
+  };
+}
+
+// Parses the query, answering 400 (and dropping the upload) when it is invalid
+function parseProcessOptionsOrReject(req, res) {
+  try {
+    const options = parseProcessOptions(req.query);
+    resolveOutputSize({ size: options.renderSize, aspectRatio: options.renderAspectRatio });
+    assertFit(options.renderFit);
+    if (!CACHE_MODES.includes(options.cache.mode)) {
+      throw new Error(`Invalid cache "${req.query.cache}". Expected one of: ${CACHE_MODES.join(", ")}`);
+    }
+    if (!Number.isInteger(options.variations) || options.variations < 1 || options.variations > 5) {
+      throw new Error(`Invalid variations "${req.query.variations}". Expected 1-5`);
+    }
+    resolveViewpoints({ views: options.views, viewpoints: options.viewpoints });
+    assertViewLayout(options.viewLayout);
+    const { matchThreshold } = options.groupingOptions;
+    if (matchThreshold !== undefined && !(matchThreshold >= 0 && matchThreshold <= 1)) {
+      throw new Error(`Invalid matchThreshold "${req.query.matchThreshold}". Expected 0-1`);
+    }
+    // Grouping overrides come as a JSON text field of the form, next to the PDF
+    if (req.body && req.body.groups) {
+      let overrides;
+      try {
+        overrides = JSON.parse(req.body.groups);
+      } catch (error) {
+        throw new Error(`Invalid groups JSON: ${error.message}`);
+      }
+      parseGroupOverrides(overrides);
+      options.groupOverrides = overrides;
+    }
+    return options;
+  } catch (error) {
+    fs.promises.unlink(req.file.path).catch(() => {});
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+// Submit a PDF for asynchronous processing; responds immediately with the job id
+app.post("/jobs", upload.single("pdf"), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: "No PDF file uploaded" });
   }
 
-  const uploadedPdfPath = req.file.path;
-  const requestId = `${Date.now()}-${Math.random().toString(36).substring(7)}`;
-  const tempDir = path.join(__dirname, "temp", requestId);
+  const options = parseProcessOptionsOrReject(req, res);
+  if (!options) return;
+
+  const job = createJob({
+    pdfPath: req.file.path,
+    originalName: req.file.originalname,
+    baseDir: tempBaseDir,
+    options,
+  });
+
+  console.log(`[Server] Accepted job ${job.id} for file: ${req.file.originalname}`);
+
+  res.status(202).json({
+    id: job.id,
+    state: job.state,
+    statusUrl: `/jobs/${job.id}`,
+    resultUrl: `/jobs/${job.id}/result`,
+  });
+});
+
+// Job status with per-group progress
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(serializeJob(job));
+});
+
+// Live progress stream (Server-Sent Events). Supports Last-Event-ID to resume a dropped stream.
+app.get("/jobs/:id/events", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  const lastEventId = parseInt(req.get("Last-Event-ID") || req.query.lastEventId, 10) || 0;
+  let closed = false;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (event) => {
+    if (closed) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(toClientEvent(event))}\n\n`);
+    // Replayed state events are not the end of the stream, only the latest one is
+    if (event.type === "state" && isStreamDone(job) && event.id === job.nextEventId - 1) {
+      close();
+    }
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, 15000);
+
+  unsubscribe = subscribeToJob(job, send, lastEventId);
+  // The replay can end the stream before subscribeToJob returns its unsubscribe
+  if (closed) {
+    unsubscribe();
+  } else if (isStreamDone(job)) {
+    close();
+  }
+  req.on("close", close);
+});
+
+// A job waiting for grouping approval ends its stream too; reconnect with Last-Event-ID after approving
+function isStreamDone(job) {
+  return isJobFinished(job) || job.state === "awaiting-approval";
+}
+
+// Cancel a queued or running job, or discard a finished one and its files
+app.delete("/jobs/:id", async (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  if (cancelJob(job.id, "Cancelled by client")) {
+    await waitForJob(job);
+    return res.json(serializeJob(job));
+  }
+
+  await removeJob(job.id);
+  res.json({ id: job.id, state: job.state, deleted: true });
+});
+
+// Download the merged PDF of a finished job
+app.get("/jobs/:id/result", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.state !== "done") {
+    const errors = { failed: "Job failed", cancelled: "Job was cancelled" };
+    return res.status(409).json({
+      error: errors[job.state] || "Job is not complete",
+      state: job.state,
+      message: job.error,
+    });
+  }
+
+  const outputFilename = req.query.filename || `processed-${job.id}.pdf`;
+  res.download(job.mergedPdfPath, outputFilename, (error) => {
+    if (error && !res.headersSent) {
+      res.status(500).json({ error: "Failed to send merged PDF", message: error.message });
+    }
+  });
+});
+
+// Loads the run manifest of a finished job, answering 404/409 when there is none yet
+async function loadJobManifestOrReject(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: "Job not found" });
+    return null;
+  }
+  if (job.state !== "done") {
+    res.status(409).json({ error: "Job is not complete", state: job.state });
+    return null;
+  }
+  const manifest = await loadManifest(job.options.outputDir);
+  if (!manifest) {
+    res.status(404).json({ error: "Job has no run manifest" });
+    return null;
+  }
+  return { job, manifest };
+}
+
+// Render variants of each group, with their scores and which one is in the merged PDF
+app.get("/jobs/:id/variants", async (req, res) => {
+  const loaded = await loadJobManifestOrReject(req, res);
+  if (!loaded) return;
+  const { job, manifest } = loaded;
+
+  res.json({
+    id: job.id,
+    groups: manifest.groups
+      .filter((group) => Array.isArray(group.variants))
+      .map((group) => ({
+        groupId: group.groupId,
+        roomName: group.roomName || null,
+        selectedVariant: group.selectedVariant ?? null,
+        selectedBy: group.selectedBy || null,
+        variants: group.variants.map((variant) => ({
+          variant: variant.variant,
+          camera: variant.camera || null,
+          scores: variant.scores || null,
+          qa: variant.qa || null,
+          imageUrl: `/jobs/${job.id}/groups/${group.groupId}/variants/${variant.variant}`,
+        })),
+      })),
+  });
+});
+
+// Download one render variant (untitled)
+app.get("/jobs/:id/groups/:groupId/variants/:variant", async (req, res) => {
+  const loaded = await loadJobManifestOrReject(req, res);
+  if (!loaded) return;
+
+  const group = loaded.manifest.groups.find(
+    (entry) => entry.groupId === Number(req.params.groupId)
+  );
+  const variant = group && (group.variants || []).find(
+    (entry) => entry.variant === Number(req.params.variant)
+  );
+  if (!variant || !fs.existsSync(variant.path)) {
+    return res.status(404).json({ error: "Variant not found" });
+  }
+  res.sendFile(path.resolve(variant.path));
+});
+
+// Choose which variant a group uses; the merged PDF is rebuilt in place
+app.post("/jobs/:id/groups/:groupId/variant", async (req, res) => {
+  const loaded = await loadJobManifestOrReject(req, res);
+  if (!loaded) return;
+  const { job, manifest } = loaded;
+
+  const groupId = Number(req.params.groupId);
+  const variant = Number(req.body && req.body.variant);
+  const group = manifest.groups.find((entry) => entry.groupId === groupId);
+  if (!group) {
+    return res.status(404).json({ error: "Group not found" });
+  }
+  if (!Number.isInteger(variant) || !(group.variants || []).some((entry) => entry.variant === variant)) {
+    return res.status(400).json({
+      error: "Invalid variant",
+      available: (group.variants || []).map((entry) => entry.variant),
+    });
+  }
+
+  try {
+    const result = await selectRenderVariant(job.options.outputDir, groupId, variant);
+    const jobGroup = job.groups.find((entry) => entry.groupId === groupId);
+    if (jobGroup) {
+      jobGroup.selectedVariant = result.selectedVariant;
+    }
+    res.json({
+      id: job.id,
+      groupId,
+      selectedVariant: result.selectedVariant,
+      resultUrl: `/jobs/${job.id}/result`,
+    });
+  } catch (error) {
+    console.error(`[Server] Failed to select variant for job ${job.id}:`, error.message || error);
+    res.status(500).json({ error: "Failed to select variant", message: error.message });
+  }
+});
+
+// Re-run selected rooms of a finished job; the merged PDF is rebuilt with just those replaced
+app.post("/jobs/:id/regenerate", async (req, res) => {
+  const loaded = await loadJobManifestOrReject(req, res);
+  if (!loaded) return;
+  const { job, manifest } = loaded;
+
+  const groups = req.body && Array.isArray(req.body.groups) ? req.body.groups : [];
+  if (groups.length === 0) {
+    return res.status(400).json({ error: "groups must list group ids or room names" });
+  }
+  try {
+    selectGroups(manifest.groups, groups);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!regenerateJob(job.id, { groups, redescribe: req.body.redescribe === true })) {
+    return res.status(409).json({ error: "Job can no longer be regenerated", state: job.state });
+  }
+  res.status(202).json({
+    id: job.id,
+    state: job.state,
+    statusUrl: `/jobs/${job.id}`,
+    resultUrl: `/jobs/${job.id}/result`,
+  });
+});
+
+// Loads the grouping plan of a job created with review=true, answering 404/409 when there is none
+async function loadJobGroupingPlanOrReject(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: "Job not found" });
+    return null;
+  }
+  if (!job.groupingPlanPath) {
+    res.status(409).json({ error: "Job has no grouping to review", state: job.state });
+    return null;
+  }
+  try {
+    return { job, plan: await loadGroupingPlan(job.groupingPlanPath) };
+  } catch (error) {
+    res.status(404).json({ error: "Grouping plan not found", message: error.message });
+    return null;
+  }
+}
+
+function serializeGroupingPlan(job, plan) {
+  return {
+    id: job.id,
+    state: job.state,
+    ...plan,
+    groups: plan.groups.map((group) => ({
+      ...group,
+      thumbnails: (group.thumbnails || []).map(
+        (thumbnail) => `/jobs/${job.id}/grouping/thumbnails/${path.basename(thumbnail)}`
+      ),
+    })),
+  };
+}
 
+// Checks an edited plan against the proposal and stores it
+async function saveEditedGroupingPlan(job, proposal, body) {
+  const plan = reviseGroupingPlan(proposal, body);
+  validatePlanRoomTypes(plan);
+  await saveGroupingPlan(job.options.outputDir, plan);
+  return plan;
+}
+
+// Proposed room grouping of a job created with review=true, with page thumbnails
+app.get("/jobs/:id/grouping", async (req, res) => {
+  const loaded = await loadJobGroupingPlanOrReject(req, res);
+  if (!loaded) return;
+  res.json(serializeGroupingPlan(loaded.job, loaded.plan));
+});
+
+app.get("/jobs/:id/grouping/thumbnails/:file", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !job.groupingPlanPath) {
+    return res.status(404).json({ error: "Thumbnail not found" });
+  }
+  const thumbnailPath = path.join(job.options.outputDir, "thumbnails", path.basename(req.params.file));
+  if (!fs.existsSync(thumbnailPath)) {
+    return res.status(404).json({ error: "Thumbnail not found" });
+  }
+  res.sendFile(thumbnailPath);
+});
+
+// Replace the proposed grouping (rename, merge, split or exclude groups) before approving it
+app.put("/jobs/:id/grouping", async (req, res) => {
+  const loaded = await loadJobGroupingPlanOrReject(req, res);
+  if (!loaded) return;
+  const { job, plan } = loaded;
+  if (job.state !== "awaiting-approval") {
+    return res.status(409).json({ error: "Job is not awaiting grouping approval", state: job.state });
+  }
   try {
-    // Create temp directory for this request
-    await fs.promises.mkdir(tempDir, { recursive: true });
-    const pagesDir = path.join(tempDir, "pdf-pages");
-    const outputDir = path.join(tempDir, "generated");
-
-    console.log(`[Server] Processing request ${requestId} for file: ${req.file.originalname}`);
-
-    // Parse query parameters for options
-    const options = {
-      pagesDir,
-      outputDir,
-      skipConversionPages: req.query.skipConversion ? parseInt(req.query.skipConversion) : 4,
-      skipPages: req.query.skip ? parseInt(req.query.skip) : 0,
-      concurrency: req.query.concurrency ? parseInt(req.query.concurrency) : 2,
-      continueOnError: req.query.continue === "true",
-      mergeOutput: req.query.merge !== "false", // Default to true
-      pdfOptions: {
-        dpi: req.query.dpi ? parseInt(req.query.dpi) : 110,
-      },
-    };
-
-    // Process the PDF
-    const result = await pdfGenerate(uploadedPdfPath, options);
-
-    // Delete input PDF immediately after processing to free memory
+    const saved = await saveEditedGroupingPlan(job, plan, req.body || {});
+    res.json(serializeGroupingPlan(job, saved));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Approve the grouping (optionally sending a final edit) and continue with description and rendering
+app.post("/jobs/:id/grouping/approve", async (req, res) => {
+  const loaded = await loadJobGroupingPlanOrReject(req, res);
+  if (!loaded) return;
+  const { job, plan } = loaded;
+  if (job.state !== "awaiting-approval") {
+    return res.status(409).json({ error: "Job is not awaiting grouping approval", state: job.state });
+  }
+  if (req.body && Array.isArray(req.body.groups)) {
     try {
-      await fs.promises.unlink(uploadedPdfPath);
-      console.log(`[Server] Deleted input PDF for request ${requestId}`);
-    } catch (unlinkError) {
-      console.warn(`[Server] Failed to delete input PDF for request ${requestId}:`, unlinkError.message);
+      await saveEditedGroupingPlan(job, plan, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  if (!approveJob(job.id)) {
+    return res.status(409).json({ error: "Job can no longer be approved", state: job.state });
+  }
+  res.status(202).json({
+    id: job.id,
+    state: job.state,
+    statusUrl: `/jobs/${job.id}`,
+    resultUrl: `/jobs/${job.id}/result`,
+  });
+});
+
+function serializeRevision(job, groupId, revision) {
+  return {
+    revision: revision.revision,
+    source: revision.source,
+    instruction: revision.instruction,
+    variant: revision.variant,
+    basedOn: revision.basedOn,
+    createdAt: revision.createdAt,
+    imageUrl: `/jobs/${job.id}/rooms/${groupId}/revisions/${revision.revision}`,
+  };
+}
+
+// Edit a room's current render with a natural-language instruction; the result becomes a
+// new revision and replaces the room's page in the merged PDF
+app.post("/jobs/:id/rooms/:groupId/edit", async (req, res) => {
+  const loaded = await loadJobManifestOrReject(req, res);
+  if (!loaded) return;
+  const { job, manifest } = loaded;
+
+  const groupId = Number(req.params.groupId);
+  const instruction = req.body && typeof req.body.instruction === "string" ? req.body.instruction.trim() : "";
+  const group = manifest.groups.find((entry) => entry.groupId === groupId);
+  if (!group || !group.renderPath) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+  if (!instruction) {
+    return res.status(400).json({ error: "instruction is required" });
+  }
+
+  try {
+    const result = await editGroupRender(job.options.outputDir, groupId, instruction, {
+      provider: job.options.imageProvider || job.options.provider,
+      providerOptions: job.options.imageProviderOptions,
+      keyFile: job.options.geminiKeyFile,
+    });
+    res.json({
+      id: job.id,
+      groupId,
+      revision: serializeRevision(job, groupId, result.revision),
+      resultUrl: `/jobs/${job.id}/result`,
+    });
+  } catch (error) {
+    console.error(`[Server] Failed to edit room ${groupId} of job ${job.id}:`, error.message || error);
+    res.status(500).json({ error: "Failed to edit render", message: error.message });
+  }
+});
+
+// Revision history of a room
+app.get("/jobs/:id/rooms/:groupId/revisions", async (req, res) => {
+  const loaded = await loadJobManifestOrReject(req, res);
+  if (!loaded) return;
+  const { job, manifest } = loaded;
+
+  const groupId = Number(req.params.groupId);
+  const group = manifest.groups.find((entry) => entry.groupId === groupId);
+  if (!group) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+  res.json({
+    id: job.id,
+    groupId,
+    currentRevision: group.currentRevision ?? null,
+    revisions: (group.revisions || []).map((revision) => serializeRevision(job, groupId, revision)),
+  });
+});
+
+// Download one revision (untitled)
+app.get("/jobs/:id/rooms/:groupId/revisions/:revision", async (req, res) => {
+  const loaded = await loadJobManifestOrReject(req, res);
+  if (!loaded) return;
+
+  const group = loaded.manifest.groups.find(
+    (entry) => entry.groupId === Number(req.params.groupId)
+  );
+  const revision = group && (group.revisions || []).find(
+    (entry) => entry.revision === Number(req.params.revision)
+  );
+  if (!revision || !fs.existsSync(revision.path)) {
+    return res.status(404).json({ error: "Revision not found" });
+  }
+  res.sendFile(path.resolve(revision.path));
+});
+
+// Put an earlier revision back into the merged PDF
+app.post("/jobs/:id/rooms/:groupId/revisions/:revision/restore", async (req, res) => {
+  const loaded = await loadJobManifestOrReject(req, res);
+  if (!loaded) return;
+  const { job, manifest } = loaded;
+
+  const groupId = Number(req.params.groupId);
+  const group = manifest.groups.find((entry) => entry.groupId === groupId);
+  const revisionNumber = Number(req.params.revision);
+  if (!group || !(group.revisions || []).some((entry) => entry.revision === revisionNumber)) {
+    return res.status(404).json({ error: "Revision not found" });
+  }
+
+  try {
+    const result = await restoreRevision(job.options.outputDir, groupId, revisionNumber);
+    res.json({
+      id: job.id,
+      groupId,
+      currentRevision: result.revision.revision,
+      resultUrl: `/jobs/${job.id}/result`,
+    });
+  } catch (error) {
+    console.error(`[Server] Failed to restore revision for job ${job.id}:`, error.message || error);
+    res.status(500).json({ error: "Failed to restore revision", message: error.message });
+  }
+});
+
+// Events carry absolute server paths; clients only need the file names
+function toClientEvent(event) {
+  const clientEvent = { ...event };
+  ["pageImage", "renderPath", "mergedPdfPath", "groupingPlanPath"].forEach((key) => {
+    if (clientEvent[key]) {
+      clientEvent[key] = path.basename(clientEvent[key]);
+    }
+  });
+  if (Array.isArray(clientEvent.pages)) {
+    clientEvent.pages = clientEvent.pages.map((page) => path.basename(page));
+  }
+  return clientEvent;
+}
+
+// Synchronous convenience wrapper: runs a job and responds with the merged PDF
+app.post("/process", upload.single("pdf"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "No PDF file uploaded" });
+  }
+
+  const options = parseProcessOptionsOrReject(req, res);
+  if (!options) return;
+  // Nobody could approve the grouping of a synchronous request
+  options.reviewGrouping = false;
+
+  const job = createJob({
+    pdfPath: req.file.path,
+    originalName: req.file.originalname,
+    baseDir: tempBaseDir,
+    options,
+  });
+  const requestId = job.id;
+
+  console.log(`[Server] Processing request ${requestId} for file: ${req.file.originalname}`);
+
+  // Stop burning API credits if the client goes away before the result is sent
+  const onClientClose = () => {
+    if (!res.writableFinished) {
+      cancelJob(requestId, "Client disconnected");
     }
+  };
+  res.on("close", onClientClose);
+
+  await waitForJob(job);
 
-    // Check if merge was successful
-    if (!result.mergedPdfPath || !fs.existsSync(result.mergedPdfPath)) {
-      throw new Error("Failed to generate merged PDF");
+  if (job.state === "cancelled") {
+    console.warn(`[Server] Request ${requestId} cancelled: ${job.error}`);
+    await removeJob(requestId);
+    if (!res.headersSent && !res.destroyed) {
+      res.status(499).json({ error: "Processing cancelled", message: job.error, requestId });
     }
+    return;
+  }
 
+  if (job.state !== "done") {
+    console.error(`[Server] Error processing request ${requestId}:`, job.error);
+    await removeJob(requestId);
+    return res.status(500).json({
+      error: "Failed to process PDF",
+      message: job.error,
+      requestId,
+    });
+  }
+
+  try {
     // Read merged PDF and send response
-    const mergedPdfPath = result.mergedPdfPath;
-    const pdfBuffer = await fs.promises.readFile(mergedPdfPath);
+    const pdfBuffer = await fs.promises.readFile(job.mergedPdfPath);
     const outputFilename = req.query.filename || `processed-${requestId}.pdf`;
 
     res.setHeader("Content-Type", "application/pdf");
@@ -98,42 +677,17 @@ app.post("/process", upload.single("pdf"), async (req, res) => {
     res.setHeader("Content-Length", pdfBuffer.length);
 
     console.log(`[Server] Sending PDF response for request ${requestId} (${pdfBuffer.length} bytes)`);
-    
-    // Send response
     res.send(pdfBuffer);
-    
-    // Delete merged PDF immediately after sending (non-blocking)
-    setImmediate(async () => {
-      try {
-        // Delete merged PDF file first
-        if (fs.existsSync(mergedPdfPath)) {
-          await fs.promises.unlink(mergedPdfPath);
-          console.log(`[Server] Deleted merged PDF for request ${requestId}`);
-        }
-        // Then cleanup entire temp directory
-        await fs.promises.rm(tempDir, { recursive: true, force: true });
-        console.log(`[Server] Cleaned up temp directory for request ${requestId}`);
-      } catch (cleanupError) {
-        console.warn(`[Server] Cleanup error for request ${requestId}:`, cleanupError.message);
-      }
-    });
-
   } catch (error) {
-    console.error(`[Server] Error processing request ${requestId}:`, error);
-
-    // Cleanup on error
-    try {
-      await fs.promises.unlink(uploadedPdfPath).catch(() => {});
-      await fs.promises.rm(tempDir, { recursive: true, force: true }).catch(() => {});
-    } catch (cleanupError) {
-      console.warn(`[Server] Cleanup error:`, cleanupError.message);
-    }
-
+    console.error(`[Server] Error sending result for request ${requestId}:`, error);
     res.status(500).json({
       error: "Failed to process PDF",
       message: error.message,
       requestId,
     });
+  } finally {
+    // Synchronous requests are not kept around for later download
+    setImmediate(() => removeJob(requestId));
   }
 });
 
@@ -153,6 +707,7 @@ app.listen(PORT, () => {
   console.log(`[Server] PDF processing server running on port ${PORT}`);
   console.log(`[Server] Health check: http://localhost:${PORT}/health`);
   console.log(`[Server] Process endpoint: POST http://localhost:${PORT}/process`);
+  console.log(`[Server] Jobs endpoint: POST http://localhost:${PORT}/jobs`);
 });
 
 // Graceful shutdown
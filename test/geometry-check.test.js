@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkGeometry, summarizeIssues } = require("../geometry-check");
+
+function room(overrides = {}) {
+  return {
+    room: { length_ft: 14, width_ft: 12, ceiling_ft: 9 },
+    openings: [],
+    fixtures: [],
+    ...overrides,
+  };
+}
+
+function fixture(name, dimensions, fromWest, fromNorth, orientation = "faces north wall") {
+  return {
+    name,
+    quantity: 1,
+    dimensions_ft: dimensions,
+    position_ft: { from_west: fromWest, from_north: fromNorth },
+    orientation,
+  };
+}
+
+const codes = (issues) => issues.map((issue) => issue.code);
+
+test("a plausible room has no issues and is returned unchanged", () => {
+  const geometry = room({ fixtures: [fixture("sofa", [7, 3, 3], 2, 1)] });
+  const result = checkGeometry(geometry);
+  assert.deepStrictEqual(result.issues, []);
+  assert.strictEqual(result.changed, false);
+  assert.deepStrictEqual(result.geometry, geometry);
+});
+
+test("openings that do not fit their wall are clamped in a copy", () => {
+  const geometry = room({
+    openings: [
+      { type: "door", wall: "east", width_ft: 3, height_ft: 10, offset_ft: 11 },
+      { type: "window", wall: "north", width_ft: 20, height_ft: 4, offset_ft: 1 },
+    ],
+  });
+  const result = checkGeometry(geometry);
+  assert.deepStrictEqual(codes(result.issues), [
+    "opening-outside-wall",
+    "opening-too-tall",
+    "opening-too-wide",
+  ]);
+  assert.ok(result.issues.every((issue) => issue.fixed));
+  assert.deepStrictEqual(result.geometry.openings, [
+    { type: "door", wall: "east", width_ft: 3, height_ft: 9, offset_ft: 9 },
+    { type: "window", wall: "north", width_ft: 14, height_ft: 4, offset_ft: 0 },
+  ]);
+  // The input is never modified
+  assert.strictEqual(geometry.openings[0].offset_ft, 11);
+});
+
+test("fixtures through a wall are pulled back inside the room", () => {
+  const result = checkGeometry(room({ fixtures: [fixture("bed", [6, 7, 3], 10, 2)] }));
+  assert.deepStrictEqual(codes(result.issues), ["fixture-crosses-wall"]);
+  assert.deepStrictEqual(result.geometry.fixtures[0].position_ft, { from_west: 8, from_north: 2 });
+});
+
+test("a fixture facing the east or west wall has its footprint rotated", () => {
+  const desk = (orientation) => room({ fixtures: [fixture("desk", [5, 2, 2.5], 11, 0, orientation)] });
+  assert.deepStrictEqual(codes(checkGeometry(desk("faces north wall")).issues), ["fixture-crosses-wall"]);
+  assert.deepStrictEqual(checkGeometry(desk("faces east wall")).issues, []);
+});
+
+test("overlapping furniture is a warning, layered items are not compared", () => {
+  const result = checkGeometry(
+    room({
+      fixtures: [
+        fixture("sofa", [7, 3, 3], 2, 1),
+        fixture("armchair", [3, 3, 3], 6, 2),
+        fixture("area rug", [8, 5, 0.1], 2, 1),
+      ],
+    })
+  );
+  assert.deepStrictEqual(codes(result.issues), ["fixtures-overlap"]);
+  assert.strictEqual(result.issues[0].severity, "warning");
+  assert.strictEqual(result.issues[0].fixed, false);
+});
+
+test("with fix disabled issues are reported but nothing changes", () => {
+  const result = checkGeometry(room({ room: { length_ft: 14, width_ft: 12, ceiling_ft: 0 } }), {
+    fix: false,
+  });
+  assert.deepStrictEqual(codes(result.issues), ["ceiling-height"]);
+  assert.strictEqual(result.changed, false);
+  assert.strictEqual(result.geometry.room.ceiling_ft, 0);
+  assert.strictEqual(summarizeIssues(result.issues), "1 error(s), 0 warning(s), 0 fixed");
+});
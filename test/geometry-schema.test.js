@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { validateGeometry, extractJsonObject } = require("../geometry-schema");
+const { describeSpaceFromFloorplan } = require("../describe");
+
+const validGeometry = {
+  room: { length_ft: 14, width_ft: 12, ceiling_ft: 9 },
+  openings: [{ type: "door", wall: "south", width_ft: 3, height_ft: 7, offset_ft: 2 }],
+  fixtures: [
+    {
+      name: "sofa",
+      quantity: 1,
+      dimensions_ft: [7, 3, 3],
+      position_ft: { from_west: 2, from_north: 4 },
+      orientation: "faces north wall",
+    },
+  ],
+};
+
+test("a complete geometry is valid", () => {
+  assert.deepStrictEqual(validateGeometry(validGeometry), { valid: true, errors: [] });
+});
+
+test("errors name the JSON path of every broken field", () => {
+  const { valid, errors } = validateGeometry({
+    room: { length_ft: 0, width_ft: 12, ceiling_ft: "9" },
+    openings: [{ type: "arch", wall: "south", width_ft: 3, height_ft: 7, offset_ft: -1 }],
+    fixtures: [{ ...validGeometry.fixtures[0], quantity: 0, dimensions_ft: [7, 3] }],
+  });
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, [
+    "room.length_ft must be greater than 0",
+    "room.ceiling_ft must be a number",
+    "openings[0].type must be one of door, window",
+    "openings[0].offset_ft must not be negative",
+    "fixtures[0].quantity must be an integer of at least 1",
+    "fixtures[0].dimensions_ft must be [length, depth, height]",
+  ]);
+});
+
+test("the first JSON object is extracted with braces inside strings skipped", () => {
+  const text = 'Brief.\nGEOMETRY_JSON\n{"fixtures": [{"name": "shelf {wall}"}]}\nNotes: {"ignored": true}';
+  const extracted = extractJsonObject(text);
+  assert.strictEqual(extracted.error, null);
+  assert.deepStrictEqual(extracted.value, { fixtures: [{ name: "shelf {wall}" }] });
+});
+
+test("unclosed and malformed objects are reported", () => {
+  assert.strictEqual(extractJsonObject('{"room": {').error, "JSON object is not closed");
+  assert.match(extractJsonObject("{room: 1}").error, /^invalid JSON/);
+  assert.strictEqual(extractJsonObject("no geometry").error, "no JSON object found");
+});
+
+test("invalid geometry is sent back for repair until it validates", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "stagify-describe-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const imagePath = path.join(dir, "page-1.png");
+  fs.writeFileSync(imagePath, "not decoded");
+
+  const requests = [];
+  const provider = {
+    name: "test-repair",
+    defaultModel: "test",
+    supportsStructuredOutput: true,
+    async describe(request) {
+      requests.push(request);
+      if (requests.length === 1) {
+        const geometry = { ...validGeometry, room: { ...validGeometry.room, width_ft: -12 } };
+        return JSON.stringify({ narrative: "A living room.", geometry });
+      }
+      return JSON.stringify(validGeometry);
+    },
+  };
+
+  const result = await describeSpaceFromFloorplan(imagePath, { provider });
+  assert.deepStrictEqual(result.geometry, validGeometry);
+  assert.strictEqual(result.validation.valid, true);
+  assert.strictEqual(result.validation.repairAttempts, 1);
+  assert.deepStrictEqual(result.validation.initialErrors, ["room.width_ft must be greater than 0"]);
+  assert.strictEqual(requests[1].images.length, 0);
+  assert.match(requests[1].prompt, /room\.width_ft must be greater than 0/);
+});
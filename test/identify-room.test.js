@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { identifyRoomNameFromText, trimTextLayer } = require("../identify-room");
+
+function textItem(text, x, y, fontSize, width = text.length * fontSize * 0.6) {
+  return { text, x, y, width, height: fontSize, fontSize };
+}
+
+// A 792x612 board, the same size as a landscape letter page
+function board(items) {
+  return { width: 792, height: 612, items };
+}
+
+test("the largest centred line in the top band is the heading", () => {
+  const result = identifyRoomNameFromText(
+    board([
+      textItem("PRIMARY", 300, 30, 20),
+      textItem("BEDROOM", 390, 30, 20),
+      textItem("Furniture and finishes", 320, 60, 10),
+      textItem("LIVING ROOM", 330, 400, 28),
+    ])
+  );
+  assert.strictEqual(result.rawText, "PRIMARY BEDROOM");
+  assert.strictEqual(result.roomName, "Primary Bedroom");
+  assert.strictEqual(result.source, "text-layer");
+});
+
+test("a larger logo or project name off to the side is not the heading", () => {
+  const layer = board([
+    textItem("ACME DESIGN", 20, 20, 32),
+    textItem("Smith Residence", 620, 24, 24),
+    textItem("KITCHEN", 360, 32, 20),
+  ]);
+  assert.strictEqual(identifyRoomNameFromText(layer).rawText, "KITCHEN");
+  assert.strictEqual(
+    identifyRoomNameFromText(layer, { textCenterBandRatio: 1 }).rawText,
+    "ACME DESIGN"
+  );
+});
+
+test("a page with no centred text in the band has no text-layer heading", () => {
+  assert.strictEqual(identifyRoomNameFromText(board([textItem("ACME DESIGN", 20, 20, 32)])), null);
+  assert.strictEqual(identifyRoomNameFromText(board([])), null);
+  assert.throws(
+    () => identifyRoomNameFromText(board([]), { textCenterBandRatio: 0 }),
+    /textCenterBandRatio must be between 0 and 1/
+  );
+});
+
+test("a trimmed text layer keeps only the heading candidates", () => {
+  const layer = board([
+    textItem("ACME DESIGN", 20, 20, 32),
+    textItem("KITCHEN", 360, 32, 20),
+    textItem("Lighting", 370, 60, 12),
+    textItem("Pendant over the island", 300, 300, 10),
+  ]);
+  const trimmed = trimTextLayer(layer);
+  assert.deepStrictEqual(
+    trimmed.items.map((item) => item.text),
+    ["KITCHEN", "Lighting"]
+  );
+  assert.strictEqual(trimmed.width, 792);
+  assert.deepStrictEqual(identifyRoomNameFromText(trimmed), identifyRoomNameFromText(layer));
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const sharp = require("sharp");
+const { resolveOutputSize, assertFit, fitImage, describeFraming } = require("../output-size");
+
+function solidImage(width, height, background = "#887766") {
+  return sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+}
+
+async function dimensions(buffer) {
+  const { width, height } = await sharp(buffer).metadata();
+  return { width, height };
+}
+
+test("a size resolves to its reduced aspect ratio", () => {
+  assert.deepStrictEqual(resolveOutputSize({ size: "1920x1080" }), {
+    width: 1920,
+    height: 1080,
+    ratio: 1920 / 1080,
+    aspectRatio: "16:9",
+  });
+  assert.strictEqual(resolveOutputSize({ size: { width: 800, height: 800 } }).aspectRatio, "1:1");
+  assert.strictEqual(resolveOutputSize({}), null);
+});
+
+test("an aspect ratio alone leaves the resolution open", () => {
+  assert.deepStrictEqual(resolveOutputSize({ aspectRatio: "4:3" }), {
+    width: null,
+    height: null,
+    ratio: 4 / 3,
+    aspectRatio: "4:3",
+  });
+  assert.strictEqual(resolveOutputSize({ aspectRatio: 1.5 }).ratio, 1.5);
+});
+
+test("malformed or conflicting sizes are rejected", () => {
+  assert.throws(() => resolveOutputSize({ size: "wide" }), /Expected WIDTHxHEIGHT/);
+  assert.throws(() => resolveOutputSize({ size: "10x10" }), /must be 16-8192 px/);
+  assert.throws(() => resolveOutputSize({ aspectRatio: "0:9" }), /Invalid aspect ratio/);
+  assert.throws(
+    () => resolveOutputSize({ size: "1920x1080", aspectRatio: "4:3" }),
+    /does not match aspect ratio 4:3/
+  );
+  assert.throws(() => assertFit("stretch"), /Unknown fit "stretch"/);
+});
+
+test("cover and contain both produce the exact requested size", async () => {
+  const render = await solidImage(400, 300);
+  const outputSize = resolveOutputSize({ size: "320x180" });
+  assert.deepStrictEqual(await dimensions(await fitImage(render, outputSize)), {
+    width: 320,
+    height: 180,
+  });
+  assert.deepStrictEqual(
+    await dimensions(await fitImage(render, outputSize, { fit: "contain", background: "#ffffff" })),
+    { width: 320, height: 180 }
+  );
+});
+
+test("with only an aspect ratio the native resolution is kept along one side", async () => {
+  const render = await solidImage(400, 300);
+  const outputSize = resolveOutputSize({ aspectRatio: "16:9" });
+  assert.deepStrictEqual(await dimensions(await fitImage(render, outputSize)), {
+    width: 400,
+    height: 225,
+  });
+  assert.deepStrictEqual(await dimensions(await fitImage(render, outputSize, { fit: "contain" })), {
+    width: 533,
+    height: 300,
+  });
+});
+
+test("the framing hint names the orientation and size", () => {
+  assert.strictEqual(
+    describeFraming(resolveOutputSize({ size: "1080x1350" })),
+    "Compose the image as a 4:5 portrait frame (1080x1350 px), filling the whole frame with the scene."
+  );
+  assert.strictEqual(describeFraming(null), "");
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  scheduleRequest,
+  configureProviderConcurrency,
+  isRetryableError,
+  getRetryAfterMs,
+} = require("../request-scheduler");
+
+const fastRetry = { baseDelayMs: 1, maxDelayMs: 5 };
+
+function httpError(status, headers) {
+  const error = new Error(`status ${status}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+test("transient failures are retryable, client errors are not", () => {
+  assert.ok(isRetryableError(httpError(429)));
+  assert.ok(isRetryableError(httpError(503)));
+  assert.ok(isRetryableError(Object.assign(new Error("reset"), { code: "ECONNRESET" })));
+  assert.ok(isRetryableError(new Error("got status: 429 Too Many Requests.")));
+  assert.ok(!isRetryableError(httpError(400)));
+  assert.ok(!isRetryableError(new Error("bad prompt")));
+});
+
+test("retry hints are read from headers and Gemini error bodies", () => {
+  assert.strictEqual(getRetryAfterMs(httpError(429, { "retry-after": "2" })), 2000);
+  assert.strictEqual(getRetryAfterMs(httpError(429, new Headers({ "retry-after-ms": "150" }))), 150);
+  assert.strictEqual(getRetryAfterMs(new Error('{"retryDelay": "1.5s"}')), 1500);
+  assert.strictEqual(getRetryAfterMs(httpError(500)), null);
+});
+
+test("a transient failure is retried until the task succeeds", async () => {
+  const retries = [];
+  let calls = 0;
+  const result = await scheduleRequest(
+    "test-retry",
+    async () => {
+      calls += 1;
+      if (calls < 3) throw httpError(503);
+      return "ok";
+    },
+    { ...fastRetry, onRetry: (info) => retries.push(info.status) }
+  );
+  assert.strictEqual(result, "ok");
+  assert.deepStrictEqual(retries, [503, 503]);
+});
+
+test("a permanent failure is thrown at once", async () => {
+  let calls = 0;
+  await assert.rejects(
+    scheduleRequest(
+      "test-permanent",
+      async () => {
+        calls += 1;
+        throw httpError(400);
+      },
+      fastRetry
+    ),
+    /status 400/
+  );
+  assert.strictEqual(calls, 1);
+});
+
+test("calls beyond the provider's cap wait for a free slot", async () => {
+  configureProviderConcurrency({ "test-cap": 2 });
+  let active = 0;
+  let peak = 0;
+  const task = async () => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    active -= 1;
+  };
+  await Promise.all(Array.from({ length: 6 }, () => scheduleRequest("test-cap", task)));
+  assert.strictEqual(peak, 2);
+});
+
+test("an aborted call stops waiting", async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(
+    scheduleRequest("test-abort", async () => "never", { signal: controller.signal }),
+    (error) => error.name === "AbortError"
+  );
+});
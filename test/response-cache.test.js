@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createResponseCache, computeCacheKey } = require("../response-cache");
+
+function tempCacheDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "stagify-cache-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("cache keys ignore key order and undefined fields", () => {
+  const key = computeCacheKey({ model: "gpt-4o", prompt: "describe", size: "1024x1024" });
+  assert.strictEqual(
+    computeCacheKey({ size: "1024x1024", prompt: "describe", model: "gpt-4o", quality: undefined }),
+    key
+  );
+  assert.notStrictEqual(computeCacheKey({ model: "gpt-4o", prompt: "describe", size: "512x512" }), key);
+});
+
+test("cache keys hash buffers by content", () => {
+  const key = computeCacheKey({ image: Buffer.from("page-1") });
+  assert.strictEqual(computeCacheKey({ image: Buffer.from("page-1") }), key);
+  assert.notStrictEqual(computeCacheKey({ image: Buffer.from("page-2") }), key);
+  assert.notStrictEqual(computeCacheKey({ image: "page-1" }), key);
+});
+
+test("use mode returns what was written and counts hits and misses", async (t) => {
+  const cache = createResponseCache({ dir: tempCacheDir(t) });
+  const key = computeCacheKey({ prompt: "kitchen" });
+  assert.strictEqual(await cache.get("describe", key, "txt"), null);
+  await cache.set("describe", key, "txt", "a bright kitchen");
+  assert.strictEqual((await cache.get("describe", key, "txt")).toString(), "a bright kitchen");
+  assert.deepStrictEqual(cache.getStats(), { describe: { hits: 1, misses: 1, writes: 1 } });
+});
+
+test("refresh mode skips reads but overwrites entries", async (t) => {
+  const dir = tempCacheDir(t);
+  const key = computeCacheKey({ prompt: "kitchen" });
+  await createResponseCache({ dir }).set("describe", key, "txt", "old");
+
+  const refresh = createResponseCache({ dir, mode: "refresh" });
+  assert.strictEqual(await refresh.get("describe", key, "txt"), null);
+  await refresh.set("describe", key, "txt", "new");
+  assert.strictEqual((await createResponseCache({ dir }).get("describe", key, "txt")).toString(), "new");
+});
+
+test("bypass mode neither reads nor writes", async (t) => {
+  const dir = tempCacheDir(t);
+  const key = computeCacheKey({ prompt: "kitchen" });
+  const bypass = createResponseCache({ dir, mode: "bypass" });
+  await bypass.set("describe", key, "txt", "ignored");
+  assert.strictEqual(await bypass.get("describe", key, "txt"), null);
+  assert.strictEqual(fs.existsSync(path.join(dir, "describe")), false);
+});
+
+test("unknown modes are rejected", () => {
+  assert.throws(() => createResponseCache({ mode: "sometimes" }), /Unknown cache mode "sometimes"/);
+});
+
+test("entries beyond maxEntries are evicted least recently used first", async (t) => {
+  const dir = tempCacheDir(t);
+  const cache = createResponseCache({ dir, maxEntries: 2 });
+  const keys = ["a", "b", "c"].map((name) => computeCacheKey({ name }));
+  const entryPath = (key) => path.join(dir, "render", `${key}.png`);
+
+  await cache.set("render", keys[0], "png", "a");
+  await cache.set("render", keys[1], "png", "b");
+  // Make the first entry the most recently used one
+  fs.utimesSync(entryPath(keys[1]), new Date(1000), new Date(1000));
+  fs.utimesSync(entryPath(keys[0]), new Date(2000), new Date(2000));
+  await cache.set("render", keys[2], "png", "c");
+
+  assert.ok(fs.existsSync(entryPath(keys[0])));
+  assert.ok(!fs.existsSync(entryPath(keys[1])));
+  assert.ok(fs.existsSync(entryPath(keys[2])));
+});
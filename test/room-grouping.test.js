@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { cleanHeading } = require("../identify-room");
+const { classifyHeading, resolveGroupRoomType } = require("../room-taxonomy");
+const {
+  normalizeRoomName,
+  roomNameSimilarity,
+  groupPages,
+  applyGroupOverrides,
+  reviseGroupingPlan,
+  applyGroupingPlan,
+} = require("../room-grouping");
+
+// Detections as PDFGenerate builds them from an OCR reading
+function detect(rawText) {
+  const roomName = cleanHeading(rawText);
+  return { rawText, roomName, normalized: normalizeRoomName(roomName) };
+}
+
+test("an OCR digit inside a heading still joins the room", () => {
+  assert.strictEqual(cleanHeading("PRIMARY BEDRO0M"), "Primary Bedroom");
+  const detections = [detect("PRIMARY BEDROOM"), detect("PRIMARY BEDRO0M")];
+  assert.ok(roomNameSimilarity(detections[0].roomName, detections[1].roomName).score >= 0.8);
+
+  const groups = groupPages(["page-5.png", "page-6.png"], detections);
+  assert.strictEqual(groups.length, 1);
+  assert.deepStrictEqual(groups[0].pageIndices, [0, 1]);
+});
+
+test("room numbers next to a word are not read as letters", () => {
+  assert.strictEqual(cleanHeading("BEDROOM1"), "Bedroom1");
+  assert.strictEqual(cleanHeading("1ST FLOOR"), "1st Floor");
+  assert.strictEqual(cleanHeading("BATH 2A"), "Bath 2a");
+  assert.strictEqual(cleanHeading("CL0SET 5"), "Closet 5");
+});
+
+test("headings with different room numbers stay apart", () => {
+  const groups = groupPages(["page-1.png", "page-2.png"], [detect("BEDROOM 2"), detect("BEDROOM 3")]);
+  assert.strictEqual(groups.length, 2);
+});
+
+// Detections of a three-page run (PDF pages 5-7), classified as PDFGenerate does
+function planDetections() {
+  return ["BEDROOM 2", "BEDROOM 2", "KITCHEN"].map((rawText) => ({
+    ...detect(rawText),
+    ...classifyHeading(rawText),
+  }));
+}
+
+const planPages = ["page-5.png", "page-6.png", "page-7.png"];
+const planPageNumbers = [5, 6, 7];
+
+function groupsFromPlan(groups) {
+  const detections = planDetections();
+  return applyGroupingPlan(
+    { groups },
+    { pages: planPages, pageNumbers: planPageNumbers, detections }
+  ).map((group) => ({ ...group, roomType: resolveGroupRoomType(group, detections) }));
+}
+
+test("an unedited plan keeps its proposed names and types", () => {
+  const groups = groupsFromPlan([
+    { roomName: "Bedroom 2", roomType: "bedroom", pages: [5, 6] },
+    { roomName: "Kitchen", roomType: "kitchen", pages: [7] },
+  ]);
+  assert.deepStrictEqual(
+    groups.map((group) => [group.groupId, group.roomName, group.roomType, group.renamed, group.source]),
+    [
+      [1, "Bedroom 2", "bedroom", false, "plan"],
+      [2, "Kitchen", "kitchen", false, "plan"],
+    ]
+  );
+  assert.deepStrictEqual(groups[0].pages, ["page-5.png", "page-6.png"]);
+});
+
+test("a renamed group gets its room type from the new name unless the plan changed it", () => {
+  const [renamed] = groupsFromPlan([{ roomName: "Home Office", roomType: "bedroom", pages: [5, 6] }]);
+  assert.strictEqual(renamed.renamed, true);
+  assert.strictEqual(renamed.roomType, "office");
+
+  const [retyped] = groupsFromPlan([{ roomName: "Guest Suite", roomType: "primary-bedroom", pages: [5, 6] }]);
+  assert.strictEqual(retyped.roomType, "primary-bedroom");
+});
+
+test("excluded groups and pages left out of the plan are not processed", () => {
+  const groups = groupsFromPlan([
+    { roomName: "Bedroom 2", pages: [6] },
+    { roomName: "Kitchen", pages: [7], exclude: true },
+  ]);
+  assert.strictEqual(groups.length, 1);
+  assert.deepStrictEqual(groups[0].pages, ["page-6.png"]);
+  assert.throws(() => groupsFromPlan([{ pages: [5, 8] }]), /page 8, which is not part of this run/);
+  assert.throws(() => groupsFromPlan([{ pages: [5], exclude: true }]), /excludes every group/);
+});
+
+test("an edited plan keeps the proposal's headings and thumbnails", () => {
+  const proposal = {
+    version: 1,
+    status: "proposed",
+    pageNumbers: planPageNumbers,
+    groups: [
+      {
+        roomName: "Bedroom 2",
+        roomType: "bedroom",
+        pages: [5, 6],
+        exclude: false,
+        headings: [{ page: 5, rawText: "BEDROOM 2" }, { page: 6, rawText: "BEDROOM 2" }],
+        thumbnails: ["thumbnails/page-5.jpg", "thumbnails/page-6.jpg"],
+      },
+      {
+        roomName: "Kitchen",
+        roomType: "kitchen",
+        pages: [7],
+        exclude: false,
+        headings: [{ page: 7, rawText: "KITCHEN" }],
+        thumbnails: ["thumbnails/page-7.jpg"],
+      },
+    ],
+  };
+  const revised = reviseGroupingPlan(proposal, {
+    groups: [{ roomName: "Studio", roomType: "office", pages: [6, 7] }, { pages: [5], exclude: true }],
+  });
+  assert.strictEqual(revised.status, "proposed");
+  assert.deepStrictEqual(revised.groups[0], {
+    roomName: "Studio",
+    roomType: "office",
+    pages: [6, 7],
+    exclude: false,
+    headings: [{ page: 6, rawText: "BEDROOM 2" }, { page: 7, rawText: "KITCHEN" }],
+    thumbnails: ["thumbnails/page-6.jpg", "thumbnails/page-7.jpg"],
+  });
+});
+
+test("overridden pages form their own rooms and the rest are grouped by heading", () => {
+  const detections = ["LIVING ROOM", "LIVING ROOM", "LIVING ROOM", "KITCHEN"].map(detect);
+  const groups = applyGroupOverrides(
+    { rooms: [{ pages: "6", roomName: "Reading Nook" }], exclude: [8] },
+    { pages: ["page-5.png", "page-6.png", "page-7.png", "page-8.png"], pageNumbers: [5, 6, 7, 8], detections }
+  );
+  assert.deepStrictEqual(
+    groups.map((group) => [group.groupId, group.roomName, group.pageIndices, group.source, group.renamed]),
+    [
+      [1, "Living Room", [0], "ocr", undefined],
+      [2, "Reading Nook", [1], "override", true],
+      // The override ends the run of living room pages around it
+      [3, "Living Room", [2], "ocr", undefined],
+    ]
+  );
+});
+
+test("an override without a name takes its first page's heading", () => {
+  const groups = applyGroupOverrides(
+    { rooms: [{ pages: "5-6" }] },
+    { pages: ["page-5.png", "page-6.png"], pageNumbers: [5, 6], detections: [detect("KITCHEN"), detect("PANTRY")] }
+  );
+  assert.strictEqual(groups.length, 1);
+  assert.strictEqual(groups[0].roomName, "Kitchen");
+  assert.strictEqual(groups[0].renamed, false);
+});
+
+test("overrides naming unknown or repeated pages are rejected", () => {
+  const params = { pages: ["page-5.png"], pageNumbers: [5], detections: [detect("KITCHEN")] };
+  assert.throws(() => applyGroupOverrides({ rooms: [{ pages: [9] }] }, params), /page 9, which is not part of this run/);
+  assert.throws(
+    () => applyGroupOverrides({ rooms: [{ pages: [5] }], exclude: "5" }, params),
+    /Page 5 is in both override room 1 and the excluded pages/
+  );
+  assert.throws(() => applyGroupOverrides({ exclude: [5] }, params), /exclude every page/);
+});
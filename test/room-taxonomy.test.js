@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { classifyHeading, validatePlanRoomTypes } = require("../room-taxonomy");
+
+test("a room named after a facet word is not a facet page", () => {
+  assert.deepStrictEqual(classifyHeading("ART STUDIO"), { roomType: null, facet: null });
+});
+
+test("facet headings are recognised, with or without a room", () => {
+  assert.deepStrictEqual(classifyHeading("ARTWORK"), { roomType: null, facet: "artwork" });
+  assert.deepStrictEqual(classifyHeading("Kitchen Lighting"), {
+    roomType: "kitchen",
+    facet: "lighting",
+  });
+});
+
+test("plans may only give groups a known room type", () => {
+  assert.doesNotThrow(() =>
+    validatePlanRoomTypes({ groups: [{ roomName: "Den", roomType: "family-room", pages: [5] }, { pages: [6] }] })
+  );
+  assert.throws(
+    () => validatePlanRoomTypes({ groups: [{ pages: [5] }, { roomName: "Den", roomType: "den", pages: [6] }] }),
+    /Group 2 \(Den\) has an unknown roomType "den"/
+  );
+});
@@ -112,7 +112,7 @@ function escapeXML(value) {
     .replace(/>/g, "&gt;");
 }
 
-module.exports = { addTitleToImage };
+module.exports = { addTitleToImage, escapeXML };
 
 if (require.main === module) {
   (async () => {